@@ -0,0 +1,88 @@
+// Action-item extraction from Plane comments
+// Finds the things a comment asks someone to do - unchecked checklist items,
+// "TODO: ...", "@someone please ...", "we need to ..." - so they can be
+// created as sub-issues of the commented issue.
+const crypto = require('crypto');
+const { stripHtml, escapeHtml } = require('./html');
+
+// Shortest/longest text worth turning into an issue
+const MIN_ITEM_LENGTH = 4;
+const MAX_ITEM_LENGTH = 200;
+
+const PATTERNS = [
+  // - [ ] write the migration
+  { source: 'checklist', regex: /^\s*[-*+]?\s*\[ \]\s+(.+)$/i },
+  // TODO: add retries / FIXME handle 404 / Action item: update docs
+  { source: 'todo', regex: /\b(?:todo|fixme|action item)\s*:\s*(.+)$/i },
+  { source: 'todo', regex: /^\s*[-*+]?\s*(?:TODO|FIXME)\s+(.+)$/ },
+  // @alex please review the schema / @alex can you ...
+  { source: 'mention', regex: /@([\w.-]+),?\s+(?:please|pls|can you|could you)\s+(.+)/i },
+  // We need to rotate the keys. ("we should ..." is usually an opinion, not a task)
+  { source: 'need', regex: /\bwe need to\s+(.+)/i }
+];
+
+// Plane marks up task lists and mentions in comment_html; turn them into
+// plain-text forms the patterns understand before stripping the rest
+function commentToText(comment) {
+  if (!comment.comment_html) return comment.comment_stripped || comment.comment || '';
+
+  const html = comment.comment_html
+    .replace(/<li[^>]*data-checked="false"[^>]*>/gi, '\n- [ ] ')
+    .replace(/<li[^>]*data-checked="true"[^>]*>/gi, '\n- [x] ')
+    .replace(/<mention-component[^>]*entity_identifier="([^"]+)"[^>]*>(?:<\/mention-component>)?/gi, '@$1')
+    .replace(/<li[^>]*>/gi, '\n- ');
+  return stripHtml(html);
+}
+
+// Cut a sentence at its end and tidy it into an issue title
+function cleanItem(text) {
+  const sentence = text.split(/(?<=[.!?])\s/)[0].replace(/[.!?]+$/, '').trim();
+  const title = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+  return title.length > MAX_ITEM_LENGTH ? title.substring(0, MAX_ITEM_LENGTH - 3) + '...' : title;
+}
+
+// Stable key for an item, so edits of the same comment (or the same item in
+// another comment) don't create it twice
+function itemKey(parentId, title) {
+  const normalized = title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return crypto.createHash('sha256').update(`${parentId}:${normalized}`).digest('hex').substring(0, 24);
+}
+
+// Sub-issue description for an item. Its text comes from a comment, so it
+// is escaped rather than trusted as markup.
+function itemDescriptionHtml(item) {
+  return `<p>Action item from a comment on the parent issue.</p><p>${escapeHtml(item.title)}</p>`;
+}
+
+// Returns [{ title, source, mention }] - mention is a user ID or @handle
+function extractActionItems(comment) {
+  const text = typeof comment === 'string' ? comment : commentToText(comment);
+  const items = [];
+  const seen = new Set();
+
+  for (const line of text.split('\n')) {
+    for (const { source, regex } of PATTERNS) {
+      const match = line.match(regex);
+      if (!match) continue;
+
+      const mention = source === 'mention' ? match[1] : undefined;
+      const title = cleanItem(source === 'mention' ? match[2] : match[1]);
+      const key = title.toLowerCase();
+
+      if (title.length >= MIN_ITEM_LENGTH && !seen.has(key)) {
+        seen.add(key);
+        items.push({ title, source, mention });
+      }
+      break; // One item per line
+    }
+  }
+
+  return items;
+}
+
+module.exports = {
+  commentToText,
+  extractActionItems,
+  itemDescriptionHtml,
+  itemKey
+};
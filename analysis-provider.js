@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+// Ticket analysis providers
+// Every provider has `async analyze({ title, description })` and returns the
+// same shape as ticket-analysis.js plus `acceptanceCriteria` and `provider`.
+// The keyword heuristics are the default; an OpenAI-compatible chat-completions
+// endpoint can be used instead, falling back to heuristics on any failure.
+const { PRIORITIES, analyzeTicket, loadTaxonomy } = require('./ticket-analysis');
+const { config } = require('./config');
+
+const COMPLEXITIES = ['low', 'medium', 'high'];
+
+// Keyword heuristics (no network)
+class HeuristicProvider {
+  constructor(taxonomy = loadTaxonomy()) {
+    this.name = 'heuristic';
+    this.taxonomy = taxonomy;
+  }
+
+  async analyze(ticket) {
+    const { scores, ...analysis } = analyzeTicket(ticket, this.taxonomy);
+    return { ...analysis, acceptanceCriteria: [], provider: this.name };
+  }
+}
+
+// Check model output against the schema and the taxonomy; throws on anything
+// that can't be trusted, so the caller falls back to heuristics
+function validateAnalysis(output, taxonomy) {
+  const problems = [];
+  const isString = value => typeof value === 'string' && value.trim().length > 0;
+
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    throw new Error('Model output is not a JSON object');
+  }
+  if (!isString(output.title)) problems.push('title must be a non-empty string');
+  if (!taxonomy.categories[output.category]) {
+    problems.push(`category must be one of ${Object.keys(taxonomy.categories).join(', ')}`);
+  }
+  if (!PRIORITIES.includes(output.priority)) problems.push(`priority must be one of ${PRIORITIES.join(', ')}`);
+  if (!COMPLEXITIES.includes(output.complexity)) problems.push(`complexity must be one of ${COMPLEXITIES.join(', ')}`);
+  if (!Array.isArray(output.labels) || !output.labels.every(isString)) problems.push('labels must be an array of strings');
+  if (!Array.isArray(output.acceptanceCriteria) || !output.acceptanceCriteria.every(isString)) {
+    problems.push('acceptanceCriteria must be an array of strings');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid model output: ${problems.join('; ')}`);
+  }
+
+  let title = output.title.trim();
+  if (title.length > taxonomy.maxTitleLength) {
+    title = title.substring(0, taxonomy.maxTitleLength - 3) + '...';
+  }
+
+  return {
+    title,
+    category: output.category,
+    categoryName: taxonomy.categories[output.category].name,
+    priority: output.priority,
+    complexity: output.complexity,
+    // Only labels from our vocabulary, so they can be mapped onto Plane labels
+    labels: output.labels.map(label => label.toLowerCase()).filter(label => taxonomy.labels.includes(label)),
+    acceptanceCriteria: output.acceptanceCriteria.map(item => item.trim())
+  };
+}
+
+// OpenAI-compatible chat completions (OpenRouter, OpenAI, a local server...)
+class ChatCompletionsProvider {
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.baseUrl = (options.baseUrl || 'https://openrouter.ai/api/v1').replace(/\/$/, '');
+    this.apiKey = options.apiKey;
+    this.model = options.model || 'openai/gpt-4o-mini';
+    this.timeoutMs = options.timeoutMs || 20000;
+    this.taxonomy = options.taxonomy || loadTaxonomy();
+  }
+
+  systemPrompt() {
+    const { categories, labels } = this.taxonomy;
+    return `You triage software tickets. Reply with a single JSON object and nothing else:
+{
+  "title": string (max ${this.taxonomy.maxTitleLength} chars, imperative),
+  "category": one of ${JSON.stringify(Object.keys(categories))},
+  "priority": one of ${JSON.stringify(PRIORITIES)},
+  "complexity": one of ${JSON.stringify(COMPLEXITIES)},
+  "labels": array drawn only from ${JSON.stringify(labels)},
+  "acceptanceCriteria": array of short, testable statements
+}`;
+  }
+
+  async analyze({ title = '', description = '' }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: this.systemPrompt() },
+          { role: 'user', content: `Title: ${title || '(none)'}\n\n${description}` }
+        ]
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      throw new Error(`LLM API error ${response.status}: ${text.substring(0, 200)}`);
+    }
+
+    const result = await response.json();
+    const content = result.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('LLM response had no message content');
+    }
+
+    // Tolerate models that wrap JSON in a code fence
+    const json = content.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`LLM returned invalid JSON: ${error.message}`);
+    }
+
+    return {
+      ...validateAnalysis(parsed, this.taxonomy),
+      description,
+      provider: this.name
+    };
+  }
+}
+
+// Try the primary provider, use the fallback if it fails for any reason
+class FallbackProvider {
+  constructor(primary, fallback) {
+    this.name = `${primary.name}+${fallback.name}`;
+    this.primary = primary;
+    this.fallback = fallback;
+  }
+
+  async analyze(ticket) {
+    try {
+      return await this.primary.analyze(ticket);
+    } catch (error) {
+      console.warn(`⚠️  ${this.primary.name} analysis failed, using ${this.fallback.name}: ${error.message}`);
+      return await this.fallback.analyze(ticket);
+    }
+  }
+}
+
+// Build the provider selected by the configuration (a config.js Config):
+//   analysis.provider - heuristic (default) | llm
+//   llm.baseUrl, llm.apiKey, llm.model, llm.timeoutMs
+function createAnalysisProvider(settings = config) {
+  const taxonomy = loadTaxonomy(settings.get('analysis.taxonomyFile'));
+  const heuristic = new HeuristicProvider(taxonomy);
+
+  if (settings.get('analysis.provider') !== 'llm') {
+    return heuristic;
+  }
+
+  const llm = new ChatCompletionsProvider({
+    baseUrl: settings.get('llm.baseUrl'),
+    apiKey: settings.get('llm.apiKey'),
+    model: settings.get('llm.model'),
+    timeoutMs: settings.get('llm.timeoutMs'),
+    taxonomy
+  });
+
+  return new FallbackProvider(llm, heuristic);
+}
+
+// CLI usage
+if (require.main === module) {
+  const [,, ...args] = process.argv;
+
+  if (args.length === 0) {
+    console.log(`
+🧠 Analysis Provider - Analyze a ticket with the configured provider
+
+Usage:
+  node analysis-provider.js "<description>"
+
+Environment:
+  ANALYSIS_PROVIDER=llm       # Use an OpenAI-compatible endpoint (default: heuristic)
+  LLM_BASE_URL                # e.g. https://openrouter.ai/api/v1 or http://localhost:8080/v1
+  LLM_API_KEY / OPENROUTER_API_KEY
+  LLM_MODEL                   # default: openai/gpt-4o-mini
+  LLM_TIMEOUT_MS              # default: 20000
+(or llm.* and analysis.provider in the config file - see node config.js doctor)
+    `);
+  } else {
+    createAnalysisProvider().analyze({ description: args.join(' ') }).then(analysis => {
+      console.log(JSON.stringify(analysis, null, 2));
+    });
+  }
+}
+
+module.exports = {
+  HeuristicProvider,
+  ChatCompletionsProvider,
+  FallbackProvider,
+  validateAnalysis,
+  createAnalysisProvider
+};
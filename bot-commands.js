@@ -0,0 +1,178 @@
+// Slash commands in Plane comments
+// A comment whose first line is a command ("/priority urgent", "/deploy
+// webhook-handler") is run on the commented issue by an allowlisted user,
+// and answered with a reply comment.
+const PlaneAgent = require('./plane-agent');
+const { commentToText } = require('./action-items');
+const { PRIORITIES, normalizePriority } = require('./ticket-analysis');
+const { config } = require('./config');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_RAILWAY_PROJECT = config.get('bot.railwayProject');
+
+const COMMANDS = {
+  deploy: { usage: '/deploy <service> [railway-project]', description: 'Redeploy a Railway service' },
+  priority: { usage: `/priority <${PRIORITIES.join('|')}>`, description: 'Set the issue priority' },
+  assign: { usage: '/assign @me|@name ...', description: 'Add assignees (display name or email)' },
+  triage: { usage: '/triage', description: 'Analyze the issue and apply the suggested priority and labels' },
+  help: { usage: '/help', description: 'Show this help' }
+};
+
+// "/assign @me @sam" → { name: 'assign', args: ['@me', '@sam'] }; null when
+// the comment doesn't start with a command
+function parseCommand(text) {
+  const firstLine = String(text || '').trim().split('\n')[0].trim();
+  const match = firstLine.match(/^\/([a-z][\w-]*)(?:\s+(.*))?$/i);
+  if (!match) return null;
+  return {
+    name: match[1].toLowerCase(),
+    args: (match[2] || '').split(/\s+/).filter(Boolean)
+  };
+}
+
+function helpText() {
+  return `**Available commands:**
+${Object.values(COMMANDS).map(c => `- \`${c.usage}\` - ${c.description}`).join('\n')}`;
+}
+
+class CommandBot {
+  // Options: planeAgent, railwayAgent, analysisProvider, resolveContext
+  // (payload → { workspaceSlug, projectId, issueId }), allowedUsers (user
+  // IDs, display names or emails; '*' allows everyone)
+  constructor(options = {}) {
+    this.planeAgent = options.planeAgent;
+    this.railwayAgent = options.railwayAgent;
+    this.analysisProvider = options.analysisProvider;
+    this.resolveContext = options.resolveContext;
+    this.allowedUsers = options.allowedUsers || config.get('bot.allowedUsers') || [];
+  }
+
+  // Is the comment a command at all?
+  static isCommand(comment) {
+    return parseCommand(commentToText(comment)) !== null;
+  }
+
+  async isAllowed(context, userId) {
+    if (this.allowedUsers.includes('*')) return true;
+    if (!userId) return false;
+    if (this.allowedUsers.includes(userId)) return true;
+
+    // Names and emails in the allowlist are matched against project members
+    for (const entry of this.allowedUsers) {
+      const memberId = await this.planeAgent.resolveMemberId(context.workspaceSlug, context.projectId, entry)
+        .catch(() => undefined);
+      if (memberId === userId) return true;
+    }
+    return false;
+  }
+
+  // Run the command in a comment and reply. Returns false when the comment
+  // isn't a command. Command failures are reported in the reply, never
+  // thrown, so a retried event can't run a command twice.
+  async handle(comment) {
+    const command = parseCommand(commentToText(comment));
+    if (!command) return false;
+
+    const context = await this.resolveContext(comment);
+    const { workspaceSlug, projectId, issueId } = context;
+    if (!workspaceSlug || !projectId || !issueId) {
+      console.log('⚠️  Cannot run command: missing workspace, project or issue ID');
+      return true;
+    }
+
+    // One reply per command comment
+    const kind = `command-${comment.id}`;
+    if (await this.planeAgent.hasAgentComment(workspaceSlug, projectId, issueId, kind)) {
+      console.log(`⏭️  Command /${command.name} already answered`);
+      return true;
+    }
+
+    const userId = comment.actor || comment.created_by;
+    console.log(`⌨️  Command /${command.name} ${command.args.join(' ')} from ${userId || 'unknown user'}`);
+
+    let reply;
+    // Own keys only: "/constructor" or "/toString" must not reach this[...]
+    if (!Object.hasOwn(COMMANDS, command.name) || command.name === 'help') {
+      reply = `${command.name === 'help' ? '' : `❓ Unknown command \`/${command.name}\`.\n\n`}${helpText()}`;
+    } else if (!(await this.isAllowed(context, userId))) {
+      console.log(`⛔ User ${userId} is not allowed to run commands`);
+      reply = `⛔ You're not allowed to run \`/${command.name}\`. Ask an admin to add you to BOT_ALLOWED_USERS.`;
+    } else {
+      try {
+        reply = await this[command.name](command.args, { ...context, userId });
+      } catch (error) {
+        console.error(`❌ Command /${command.name} failed: ${error.message}`);
+        reply = `❌ \`/${command.name}\` failed: ${error.message}`;
+      }
+    }
+
+    // Replies echo the command, its arguments and error text, and usage lines
+    // such as "<service>" must show up as text: escape before posting as HTML
+    await this.planeAgent.addComment(workspaceSlug, projectId, issueId, PlaneAgent.withMarker(escapeHtml(reply), kind));
+    return true;
+  }
+
+  async deploy(args) {
+    const [service, project = DEFAULT_RAILWAY_PROJECT] = args;
+    if (!service) throw new Error(`usage: ${COMMANDS.deploy.usage}`);
+    if (!this.railwayAgent) throw new Error('Railway is not configured (set RAILWAY_TOKEN)');
+
+    // Don't hold up the event queue for the whole deploy. The deployment
+    // issue stays filed: it's where the Railway webhook reports the outcome.
+    const ticket = await this.railwayAgent.createDeploymentTicket(project, service, 'redeploy');
+    const result = await this.railwayAgent.executeTicket(ticket, { wait: false });
+    if (result.status === 'failed') throw new Error(result.error);
+
+    return `🚀 Redeploy of **${result.service}** (${result.project}) triggered - deployment ${result.deploymentId}`;
+  }
+
+  async priority(args, { workspaceSlug, projectId, issueId }) {
+    const priority = args[0] && normalizePriority(args[0]);
+    if (!priority) throw new Error(`usage: ${COMMANDS.priority.usage}`);
+
+    await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { priority });
+    return `✅ Priority set to **${priority}**`;
+  }
+
+  async assign(args, { workspaceSlug, projectId, issueId, userId }) {
+    if (args.length === 0) throw new Error(`usage: ${COMMANDS.assign.usage}`);
+
+    const wanted = [];
+    for (const arg of args) {
+      const mention = arg.replace(/^@/, '');
+      const memberId = mention === 'me'
+        ? userId
+        : await this.planeAgent.resolveMemberId(workspaceSlug, projectId, mention);
+      if (!memberId) throw new Error(`no project member matches ${arg}`);
+      wanted.push(memberId);
+    }
+
+    const issue = await this.planeAgent.getIssue(workspaceSlug, projectId, issueId);
+    const assignees = [...new Set([...(issue.assignees || []), ...wanted])];
+    await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { assignees });
+    return `✅ Assigned ${args.join(', ')}`;
+  }
+
+  async triage(args, { workspaceSlug, projectId, issueId }) {
+    if (!this.analysisProvider) throw new Error('no analysis provider configured');
+
+    const issue = await this.planeAgent.getIssue(workspaceSlug, projectId, issueId);
+    const analysis = await this.analysisProvider.analyze({
+      title: issue.name || '',
+      description: issue.description_stripped || ''
+    });
+
+    const labelIds = await this.planeAgent.resolveLabelIds(workspaceSlug, projectId, analysis.labels);
+    const labels = [...new Set([...(issue.labels || []), ...labelIds])];
+    await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { priority: analysis.priority, labels });
+
+    return `🔎 **Triage (${analysis.provider}):**
+
+**Category:** ${analysis.categoryName}
+**Priority:** ${analysis.priority} (applied)
+**Estimated Complexity:** ${analysis.complexity}
+**Labels:** ${analysis.labels.join(', ') || 'none'}`;
+  }
+}
+
+module.exports = { CommandBot, COMMANDS, parseCommand };
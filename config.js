@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+// Shared configuration for the Plane/Railway/Vaultwarden tools
+// Each setting comes from (first match wins): its environment variable, the
+// active profile in ~/.config/indigo/config.json, the top level of that file,
+// then the default below. Secrets have no defaults - they belong in the
+// environment or the config file, never in source.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { maskValue } = require('./env-file');
+
+const CONFIG_FILE = process.env.INDIGO_CONFIG || path.join(os.homedir(), '.config', 'indigo', 'config.json');
+
+// key: path in config.json; env: variables that set it (first wins);
+// allowEmpty: "" is a value rather than unset; choices: allowed values
+const SETTINGS = [
+  { key: 'plane.url', env: ['PLANE_URL'], type: 'url', default: 'https://plane-production.up.railway.app', description: 'Plane instance URL' },
+  { key: 'plane.apiKey', env: ['PLANE_API_KEY'], secret: true, description: 'Plane API token (Profile Settings → API Tokens)' },
+  { key: 'plane.workspace', env: ['PLANE_WORKSPACE_SLUG'], description: 'Plane workspace slug' },
+  { key: 'plane.apiBase', env: ['PLANE_API_BASE'], allowEmpty: true, description: 'Plane API path prefix, "" for the root (discovered when unset)' },
+  { key: 'plane.discoveryCache', env: ['PLANE_DISCOVERY_CACHE'], default: path.join(os.homedir(), '.cache', 'indigo', 'plane-api-base.json'), description: 'Where discovered API prefixes are cached' },
+  { key: 'plane.draftsFile', env: ['PLANE_DRAFTS_FILE'], default: path.join(os.homedir(), '.config', 'indigo', 'drafts.json'), description: 'Ticket drafts of plane-ticket-creator.js' },
+  { key: 'plane.concurrency', env: ['PLANE_CONCURRENCY'], type: 'number', default: 4, description: 'Parallel Plane requests' },
+  { key: 'plane.agentUserId', env: ['PLANE_AGENT_USER_ID'], description: "User ID of the API token's bot user" },
+  { key: 'plane.deploymentsProject', env: ['PLANE_DEPLOYMENTS_PROJECT'], description: 'Plane project for Railway deployment issues' },
+  { key: 'plane.webhookSecret', env: ['PLANE_WEBHOOK_SECRET'], type: 'list', secret: true, description: 'Signing secrets of the Plane webhooks (comma-separated, one per workspace)' },
+  { key: 'railway.token', env: ['RAILWAY_TOKEN', 'RAILWAY_API_KEY'], secret: true, description: 'Railway API token' },
+  { key: 'railway.apiUrl', env: ['RAILWAY_API_URL'], type: 'url', default: 'https://backboard.railway.com/graphql/v2', description: 'Railway GraphQL endpoint' },
+  { key: 'railway.webhookSecret', env: ['RAILWAY_WEBHOOK_SECRET'], secret: true, description: 'Token in the URL of the Railway deployment webhook' },
+  { key: 'railway.productionEnvironment', env: ['RAILWAY_PRODUCTION_ENVIRONMENT'], default: 'production', description: 'Environment whose deploys move mentioned issues to Done' },
+  { key: 'railway.deployTimeoutMs', env: ['RAILWAY_DEPLOY_TIMEOUT_MS'], type: 'number', default: 15 * 60 * 1000, description: 'How long to wait for a deployment' },
+  { key: 'vaultwarden.url', env: ['VAULTWARDEN_URL'], type: 'url', description: 'Vaultwarden URL' },
+  { key: 'vaultwarden.email', env: ['VAULTWARDEN_EMAIL'], description: 'Vaultwarden account email' },
+  { key: 'vaultwarden.password', env: ['VAULTWARDEN_PASSWORD'], secret: true, description: 'Vaultwarden master password' },
+  { key: 'vaultwarden.clientId', env: ['VAULTWARDEN_CLIENT_ID'], description: 'Vaultwarden personal API key client_id' },
+  { key: 'vaultwarden.clientSecret', env: ['VAULTWARDEN_CLIENT_SECRET'], secret: true, description: 'Vaultwarden personal API key client_secret' },
+  { key: 'vaultwarden.secretsMap', env: ['SECRETS_MAP_FILE'], default: 'secrets.json', description: 'Map of Railway variables to vault items' },
+  { key: 'analysis.provider', env: ['ANALYSIS_PROVIDER'], choices: ['heuristic', 'llm'], default: 'heuristic', description: 'Ticket analysis: keyword heuristics or an LLM' },
+  { key: 'analysis.taxonomyFile', env: ['TICKET_TAXONOMY_FILE'], description: 'JSON file overriding the ticket taxonomy' },
+  { key: 'analysis.duplicateThreshold', env: ['DUPLICATE_THRESHOLD'], type: 'number', default: 0.5, description: 'Similarity (0-1) reported as a possible duplicate' },
+  { key: 'llm.baseUrl', env: ['LLM_BASE_URL'], type: 'url', default: 'https://openrouter.ai/api/v1', description: 'OpenAI-compatible chat-completions endpoint' },
+  { key: 'llm.apiKey', env: ['LLM_API_KEY', 'OPENROUTER_API_KEY'], secret: true, description: 'API key of the LLM endpoint' },
+  { key: 'llm.model', env: ['LLM_MODEL'], default: 'openai/gpt-4o-mini', description: 'LLM model' },
+  { key: 'llm.timeoutMs', env: ['LLM_TIMEOUT_MS'], type: 'number', default: 20000, description: 'How long to wait for the LLM' },
+  { key: 'bot.allowedUsers', env: ['BOT_ALLOWED_USERS'], type: 'list', description: 'Plane users (IDs, names or emails; * for all) allowed to run comment commands' },
+  { key: 'bot.railwayProject', env: ['BOT_RAILWAY_PROJECT'], default: 'indigo-services', description: 'Railway project of /deploy when none is given' },
+  { key: 'webhook.url', env: ['WEBHOOK_URL'], type: 'url', default: 'http://webhooks.local:3000', description: 'Public URL of the webhook server' },
+  { key: 'webhook.port', env: ['PORT'], type: 'number', default: 3000, description: 'Port the webhook server listens on' },
+  { key: 'webhook.allowUnsigned', env: ['WEBHOOK_ALLOW_UNSIGNED'], type: 'boolean', default: false, description: 'Accept webhooks without a secret (local development only)' },
+  { key: 'webhook.queueDir', env: ['WEBHOOK_QUEUE_DIR'], default: path.join(process.cwd(), '.webhook-queue'), description: 'Where the webhook event queue is stored' },
+  { key: 'webhook.rulesFile', env: ['WEBHOOK_RULES_FILE'], default: path.join(__dirname, 'webhook-handler', 'rules.json'), description: 'Automation rules file' },
+  { key: 'webhook.rulesDryRun', env: ['RULES_DRY_RUN'], type: 'boolean', default: false, description: 'Log which rules would fire without acting' }
+];
+
+// What each tool needs; reported by `config doctor`
+const REQUIREMENTS = {
+  'plane-agent.js / plane-ticket-creator.js': ['plane.url', 'plane.apiKey'],
+  'plane-ticket-creator.js push': ['plane.workspace'],
+  'railway-agent.js': ['railway.token'],
+  'railway-agent.js deployment issues': ['plane.apiKey', 'plane.workspace', 'plane.deploymentsProject'],
+  'railway-agent.js secrets sync': ['railway.token', 'vaultwarden.url', 'vaultwarden.email', 'vaultwarden.password'],
+  'setup-webhooks.js': ['plane.url', 'plane.apiKey', 'webhook.url'],
+  'webhook server': ['plane.apiKey', 'plane.webhookSecret'],
+  'webhook server Railway events': ['railway.webhookSecret', 'plane.workspace'],
+  'webhook server comment commands': ['bot.allowedUsers']
+};
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = this.constructor.name;
+    this.problems = problems;
+  }
+}
+
+// Typed value of a setting; invalid values are returned as they are, for
+// check() to report. Lists are comma-separated in the environment.
+function convert(type, value) {
+  if (type === 'number') return Number(value);
+  if (type === 'list' && !Array.isArray(value)) {
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
+  }
+  if (type === 'boolean' && typeof value !== 'boolean') {
+    if (/^(true|1|yes)$/i.test(String(value))) return true;
+    if (/^(false|0|no)$/i.test(String(value))) return false;
+  }
+  return value;
+}
+
+function lookup(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+class Config {
+  // Options: env (default process.env), file (config.json path), profile
+  // (default $INDIGO_PROFILE, then "profile" in the file)
+  constructor(options = {}) {
+    this.env = options.env || process.env;
+    this.file = options.file || CONFIG_FILE;
+    this.fileProblems = [];
+    this.data = this.readFile();
+    this.profile = options.profile || this.env.INDIGO_PROFILE || this.data.profile || null;
+
+    const profiles = this.data.profiles || {};
+    if (this.profile && !profiles[this.profile]) {
+      this.fileProblems.push(`Profile "${this.profile}" is not defined in ${this.file} (available: ${Object.keys(profiles).join(', ') || 'none'})`);
+    }
+    this.profileData = (this.profile && profiles[this.profile]) || {};
+  }
+
+  readFile() {
+    if (!fs.existsSync(this.file)) return {};
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('expected an object');
+      return data;
+    } catch (error) {
+      this.fileProblems.push(`${this.file}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // { value, source } - source is the env variable, "profile <name>",
+  // "config file", "default" or null when unset
+  resolve(key) {
+    const setting = SETTINGS.find(s => s.key === key);
+    if (!setting) throw new Error(`Unknown setting ${key}`);
+
+    const isSet = value => value !== undefined && value !== null && (value !== '' || setting.allowEmpty === true);
+    const name = setting.env.find(n => isSet(this.env[n]));
+    const candidates = [
+      [name && this.env[name], name],
+      [lookup(this.profileData, key), `profile ${this.profile}`],
+      [lookup(this.data, key), 'config file'],
+      [setting.default, 'default']
+    ];
+    const [value, source] = candidates.find(([v]) => isSet(v)) || [undefined, null];
+    return { value: value === undefined ? value : convert(setting.type, value), source };
+  }
+
+  get(key) {
+    return this.resolve(key).value;
+  }
+
+  // Problems with the given settings (missing or invalid), plus any with the
+  // config file itself
+  check(keys = []) {
+    const problems = [...this.fileProblems];
+
+    for (const setting of SETTINGS) {
+      const { value, source } = this.resolve(setting.key);
+      const where = `${setting.key} (${source || setting.env[0]})`;
+      if (value === undefined) {
+        if (keys.includes(setting.key)) problems.push(`${setting.key} is not set - set ${setting.env[0]} or add it to ${this.file}`);
+      } else if (setting.type === 'number' && Number.isNaN(value)) {
+        problems.push(`${where} must be a number`);
+      } else if (setting.type === 'boolean' && typeof value !== 'boolean') {
+        problems.push(`${where} must be true or false`);
+      } else if (setting.type === 'url' && !/^https?:\/\/[^\s]+$/.test(String(value))) {
+        problems.push(`${where} must be an http(s) URL`);
+      } else if (setting.choices && !setting.choices.includes(value)) {
+        problems.push(`${where} must be one of ${setting.choices.join(', ')}`);
+      }
+    }
+    return problems;
+  }
+
+  // Throw a ConfigError unless the given settings are all set and valid
+  validate(keys = []) {
+    const problems = this.check(keys);
+    if (problems.length > 0) {
+      throw new ConfigError(`Configuration problems:\n  - ${problems.join('\n  - ')}\nRun "node config.js doctor" for details.`, problems);
+    }
+    return this;
+  }
+
+  // validate() for CLI and server startup: print the problems and exit
+  ensure(keys = []) {
+    try {
+      return this.validate(keys);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  // Secrets stored in a file others can read
+  filePermissionProblem() {
+    if (!fs.existsSync(this.file) || process.platform === 'win32') return null;
+    const sections = [this.data, ...Object.values(this.data.profiles || {})];
+    const hasSecrets = SETTINGS.some(s => s.secret && sections.some(section => lookup(section, s.key)));
+    const mode = fs.statSync(this.file).mode & 0o777;
+    return hasSecrets && (mode & 0o077)
+      ? `${this.file} holds secrets but is readable by others (mode ${mode.toString(8)}) - run chmod 600 ${this.file}`
+      : null;
+  }
+
+  doctor() {
+    console.log('🩺 Indigo configuration');
+    console.log(`📄 Config file: ${this.file}${fs.existsSync(this.file) ? '' : ' (not found)'}`);
+    console.log(`👤 Profile: ${this.profile || '(none)'}\n`);
+
+    for (const setting of SETTINGS) {
+      const { value, source } = this.resolve(setting.key);
+      const shown = value === undefined ? '-'
+        : setting.secret ? [].concat(value).map(maskValue).join(', ')
+        : value === '' ? '""'
+        : Array.isArray(value) ? value.join(', ')
+        : value;
+      console.log(`  ${source ? '✅' : '⬜'} ${setting.key.padEnd(30)} ${String(shown).padEnd(42)} ${source || `unset - ${setting.env[0]}: ${setting.description}`}`);
+    }
+
+    const problems = this.check();
+    const permissions = this.filePermissionProblem();
+    if (permissions) problems.push(permissions);
+
+    console.log('\n🔧 Tools:');
+    for (const [tool, keys] of Object.entries(REQUIREMENTS)) {
+      const missing = keys.filter(key => this.get(key) === undefined);
+      console.log(missing.length === 0
+        ? `  ✅ ${tool}`
+        : `  ❌ ${tool} - missing ${missing.map(key => SETTINGS.find(s => s.key === key).env[0]).join(', ')}`);
+    }
+
+    const known = new Set(['profile', 'profiles', ...SETTINGS.map(s => s.key.split('.')[0])]);
+    const unknown = Object.keys(this.data).filter(key => !known.has(key));
+    if (unknown.length > 0) problems.push(`Unknown sections in ${this.file}: ${unknown.join(', ')}`);
+
+    if (problems.length > 0) {
+      console.log('\n⚠️  Problems:');
+      problems.forEach(problem => console.log(`  - ${problem}`));
+    }
+    return problems.length === 0;
+  }
+}
+
+// Shared instance for the current process
+const config = new Config();
+
+// CLI usage
+if (require.main === module) {
+  const [,, command] = process.argv;
+
+  switch (command) {
+    case 'doctor':
+      process.exitCode = config.doctor() ? 0 : 1;
+      break;
+
+    case 'path':
+      console.log(config.file);
+      break;
+
+    default:
+      console.log(`
+⚙️  Indigo configuration
+
+Usage:
+  node config.js doctor                     # Show every setting, where it comes from and what's missing
+  node config.js path                       # Print the config file path
+
+Settings are read from environment variables, then the active profile in
+${CONFIG_FILE}
+(override with INDIGO_CONFIG), then the top level of that file, then defaults.
+Pick a profile with INDIGO_PROFILE=<name> or "profile" in the file:
+
+  {
+    "profile": "production",
+    "plane": { "workspace": "indigo" },
+    "profiles": {
+      "production": { "plane": { "url": "https://plane.example.com", "apiKey": "..." } },
+      "staging": { "plane": { "url": "https://plane-staging.example.com", "apiKey": "..." } }
+    }
+  }
+
+Secret values are masked. Keep the file private (chmod 600).
+      `);
+  }
+}
+
+module.exports = {
+  CONFIG_FILE,
+  SETTINGS,
+  Config,
+  ConfigError,
+  config
+};
@@ -0,0 +1,123 @@
+// .env files and variable diffs for railway-agent.js
+// Variables are plain { NAME: value } objects throughout.
+
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+
+// Index of the quote closing a double-quoted value, skipping escaped
+// characters, or -1 when it isn't closed (yet)
+function closingQuote(value) {
+  for (let i = 1; i < value.length; i++) {
+    if (value[i] === '\\') i++;
+    else if (value[i] === '"') return i;
+  }
+  return -1;
+}
+
+// Parse KEY=VALUE lines: # comments, optional "export ", single quotes taken
+// literally, double quotes with \n escapes (and spanning lines)
+function parseEnvFile(text) {
+  const vars = {};
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match || !NAME_PATTERN.test(match[1])) {
+      throw new Error(`Line ${i + 1}: expected KEY=VALUE, got "${line}"`);
+    }
+
+    const [, name] = match;
+    let value = match[2];
+
+    if (value.startsWith('"')) {
+      // Keep reading lines until the closing quote
+      while (closingQuote(value) === -1 && i + 1 < lines.length) {
+        value += '\n' + lines[++i];
+      }
+      const end = closingQuote(value);
+      value = value.slice(1, end === -1 ? undefined : end)
+        .replace(/\\(["\\n])/g, (_, c) => (c === 'n' ? '\n' : c));
+    } else if (value.startsWith("'")) {
+      const end = value.lastIndexOf("'");
+      value = value.slice(1, end > 0 ? end : undefined);
+    } else {
+      value = value.replace(/\s+#.*$/, '').trim();
+    }
+
+    vars[name] = value;
+  }
+
+  return vars;
+}
+
+// Quote values that wouldn't survive unquoted
+function formatEnvFile(vars) {
+  return Object.keys(vars).sort().map(name => {
+    const value = String(vars[name]);
+    const quoted = /^[\w@%+=:,./-]*$/.test(value)
+      ? value
+      : `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    return `${name}=${quoted}`;
+  }).join('\n') + '\n';
+}
+
+// Hide a secret but keep enough to tell values apart
+function maskValue(value) {
+  const text = String(value);
+  if (text.length === 0) return '(empty)';
+  return `${'•'.repeat(8)} (${text.length} chars)`;
+}
+
+// Changes that turn `current` into `desired`. Names missing from `desired`
+// are only removed when prune is set.
+// Returns [{ name, change: 'add' | 'update' | 'remove' | 'same', from, to }]
+function diffVariables(current, desired, { prune = false } = {}) {
+  const names = new Set([...Object.keys(current), ...Object.keys(desired)]);
+  const changes = [];
+
+  for (const name of [...names].sort()) {
+    const from = current[name];
+    const to = desired[name];
+
+    if (to === undefined) {
+      changes.push({ name, change: prune ? 'remove' : 'same', from, to: prune ? undefined : from });
+    } else if (from === undefined) {
+      changes.push({ name, change: 'add', from, to });
+    } else if (from !== to) {
+      changes.push({ name, change: 'update', from, to });
+    } else {
+      changes.push({ name, change: 'same', from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Print a diff; values masked unless show is set
+function printChanges(changes, { show = false, labels = ['current', 'new'] } = {}) {
+  const display = value => (value === undefined ? '-' : show ? JSON.stringify(value) : maskValue(value));
+  const symbols = { add: '+', update: '~', remove: '-' };
+  const changed = changes.filter(c => c.change !== 'same');
+
+  if (changed.length === 0) {
+    console.log('✅ No changes');
+    return;
+  }
+
+  changed.forEach(c => {
+    console.log(`  ${symbols[c.change]} ${c.name.padEnd(30)} ${labels[0]}: ${display(c.from)}  ${labels[1]}: ${display(c.to)}`);
+  });
+  const count = kind => changed.filter(c => c.change === kind).length;
+  console.log(`\n📊 ${count('add')} to add, ${count('update')} to change, ${count('remove')} to remove`);
+}
+
+module.exports = {
+  NAME_PATTERN,
+  parseEnvFile,
+  formatEnvFile,
+  maskValue,
+  diffVariables,
+  printChanges
+};
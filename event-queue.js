@@ -0,0 +1,322 @@
+// Durable webhook event queue
+// Deliveries are appended to a local log before they are acknowledged, then
+// processed by a single worker with exponential backoff retries. Events that
+// keep failing are moved to a dead-letter file. Delivery IDs that were already
+// accepted are remembered so redeliveries are not processed twice, and the
+// steps a handler finished are logged so a retry doesn't repeat them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const DEFAULTS = {
+  dir: config.get('webhook.queueDir'),
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  pollIntervalMs: 500,
+  rememberDeliveries: 10000 // Processed delivery IDs kept for idempotency
+};
+
+class EventQueue {
+  constructor(handler, options = {}) {
+    this.handler = handler;
+    this.options = { ...DEFAULTS, ...options };
+    this.logFile = path.join(this.options.dir, 'events.jsonl');
+    this.deadLetterFile = path.join(this.options.dir, 'dead-letter.jsonl');
+
+    this.pending = new Map();     // id → { id, deliveryId, event, attempts, nextAttemptAt, steps, ... }
+    this.deliveries = new Map();  // deliveryId → 'pending' | 'done' | 'dead'
+    this.finishedCount = 0;       // deliveries that are 'done' or 'dead'
+    this.timer = null;
+    this.processing = false;
+
+    fs.mkdirSync(this.options.dir, { recursive: true });
+    this.load();
+  }
+
+  // Rebuild queue state from the log, then compact it
+  load() {
+    if (fs.existsSync(this.logFile)) {
+      const lines = fs.readFileSync(this.logFile, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          console.warn('⚠️  Skipping corrupt queue record');
+          continue;
+        }
+
+        switch (record.op) {
+          case 'enqueue':
+            this.pending.set(record.id, {
+              id: record.id,
+              deliveryId: record.deliveryId,
+              event: record.event,
+              receivedAt: record.receivedAt,
+              attempts: 0,
+              nextAttemptAt: 0,
+              steps: []
+            });
+            this.deliveries.set(record.deliveryId, 'pending');
+            break;
+          case 'attempt': {
+            const entry = this.pending.get(record.id);
+            if (entry) {
+              entry.attempts = record.attempts;
+              entry.nextAttemptAt = record.nextAttemptAt;
+              entry.lastError = record.error;
+            }
+            break;
+          }
+          case 'step': {
+            const entry = this.pending.get(record.id);
+            if (entry && !entry.steps.includes(record.step)) entry.steps.push(record.step);
+            break;
+          }
+          case 'done':
+          case 'dead':
+            this.pending.delete(record.id);
+            this.finish(record.deliveryId, record.op);
+            break;
+        }
+      }
+    }
+
+    this.compact();
+
+    if (this.pending.size > 0) {
+      console.log(`📥 Restored ${this.pending.size} pending webhook event(s) from queue`);
+    }
+  }
+
+  // Rewrite the log with only pending events and recent delivery IDs
+  compact() {
+    const finished = [...this.deliveries.entries()]
+      .filter(([, status]) => status !== 'pending')
+      .slice(-this.options.rememberDeliveries);
+
+    this.deliveries = new Map([
+      ...finished,
+      ...[...this.pending.values()].map(entry => [entry.deliveryId, 'pending'])
+    ]);
+    this.finishedCount = finished.length;
+
+    const records = [
+      ...finished.map(([deliveryId, status]) => ({ op: status, deliveryId })),
+      ...[...this.pending.values()].flatMap(entry => [
+        {
+          op: 'enqueue',
+          id: entry.id,
+          deliveryId: entry.deliveryId,
+          event: entry.event,
+          receivedAt: entry.receivedAt
+        },
+        ...(entry.attempts > 0 ? [{
+          op: 'attempt',
+          id: entry.id,
+          attempts: entry.attempts,
+          nextAttemptAt: entry.nextAttemptAt,
+          error: entry.lastError
+        }] : []),
+        ...entry.steps.map(step => ({ op: 'step', id: entry.id, step }))
+      ])
+    ];
+
+    const tmpFile = `${this.logFile}.tmp`;
+    fs.writeFileSync(tmpFile, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmpFile, this.logFile);
+  }
+
+  // Record a delivery as done or dead, forgetting the oldest finished ones
+  // beyond rememberDeliveries so a long-running worker doesn't grow forever
+  finish(deliveryId, status) {
+    if (this.deliveries.has(deliveryId) && this.deliveries.get(deliveryId) !== 'pending') {
+      this.finishedCount -= 1;
+    }
+    // Re-inserted so the Map stays ordered by when deliveries finished
+    this.deliveries.delete(deliveryId);
+    this.deliveries.set(deliveryId, status);
+    this.finishedCount += 1;
+
+    for (const [id, oldStatus] of this.deliveries) {
+      if (this.finishedCount <= this.options.rememberDeliveries) break;
+      if (oldStatus === 'pending') continue;
+      this.deliveries.delete(id);
+      this.finishedCount -= 1;
+    }
+  }
+
+  append(record) {
+    fs.appendFileSync(this.logFile, JSON.stringify(record) + '\n');
+  }
+
+  // Derive a delivery ID when Plane didn't send one
+  static deliveryIdFor(rawBody) {
+    return 'sha256:' + crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  }
+
+  // Persist an event; returns false if the delivery was already accepted
+  enqueue(deliveryId, event) {
+    if (this.deliveries.has(deliveryId)) {
+      return false;
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      deliveryId,
+      event,
+      receivedAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: 0,
+      steps: []
+    };
+
+    this.append({
+      op: 'enqueue',
+      id: entry.id,
+      deliveryId,
+      event,
+      receivedAt: entry.receivedAt
+    });
+    this.pending.set(entry.id, entry);
+    this.deliveries.set(deliveryId, 'pending');
+
+    this.schedule(0);
+    return true;
+  }
+
+  // Exponential backoff with jitter: base * 2^(attempt-1), capped
+  backoff(attempts) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  start() {
+    this.stopped = false;
+    this.schedule(0);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(delayMs) {
+    if (this.stopped) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.work(), delayMs);
+    this.timer.unref?.();
+  }
+
+  // Process every due event, then sleep until the next one is due
+  async work() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let entry;
+      while (!this.stopped && (entry = this.nextDue())) {
+        await this.process(entry);
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    const nextAt = Math.min(...[...this.pending.values()].map(e => e.nextAttemptAt));
+    if (Number.isFinite(nextAt)) {
+      this.schedule(Math.max(this.options.pollIntervalMs, nextAt - Date.now()));
+    }
+  }
+
+  nextDue() {
+    const now = Date.now();
+    for (const entry of this.pending.values()) {
+      if (entry.nextAttemptAt <= now) return entry;
+    }
+    return null;
+  }
+
+  // Passed to the handler with each event. Steps marked done are logged, and
+  // isDone() reports them on later attempts, so side effects that already
+  // happened (a comment, a redeploy) are skipped when the event is retried.
+  contextFor(entry) {
+    return {
+      deliveryId: entry.deliveryId,
+      attempts: entry.attempts,
+      isDone: step => entry.steps.includes(step),
+      markDone: step => {
+        if (entry.steps.includes(step)) return;
+        entry.steps.push(step);
+        this.append({ op: 'step', id: entry.id, step });
+      }
+    };
+  }
+
+  async process(entry) {
+    try {
+      await this.handler(entry.event, this.contextFor(entry));
+      this.append({ op: 'done', id: entry.id, deliveryId: entry.deliveryId });
+      this.pending.delete(entry.id);
+      this.finish(entry.deliveryId, 'done');
+    } catch (error) {
+      entry.attempts += 1;
+      entry.lastError = error.message;
+
+      if (entry.attempts >= this.options.maxAttempts) {
+        console.error(`💀 Event ${entry.deliveryId} failed ${entry.attempts} times, moving to dead letters`);
+        fs.appendFileSync(this.deadLetterFile, JSON.stringify({
+          ...entry,
+          failedAt: new Date().toISOString()
+        }) + '\n');
+        this.append({ op: 'dead', id: entry.id, deliveryId: entry.deliveryId });
+        this.pending.delete(entry.id);
+        this.finish(entry.deliveryId, 'dead');
+        return;
+      }
+
+      const delay = this.backoff(entry.attempts);
+      entry.nextAttemptAt = Date.now() + delay;
+      console.warn(`🔁 Event ${entry.deliveryId} failed (attempt ${entry.attempts}/${this.options.maxAttempts}): ${error.message} - retrying in ${delay}ms`);
+      this.append({
+        op: 'attempt',
+        id: entry.id,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+        error: error.message
+      });
+    }
+  }
+
+  // Events that exhausted their retries
+  getDeadLetters() {
+    if (!fs.existsSync(this.deadLetterFile)) return [];
+    return fs.readFileSync(this.deadLetterFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  // 'pending', 'done', 'dead', or null for an unknown (or forgotten) delivery
+  deliveryStatus(deliveryId) {
+    return this.deliveries.get(deliveryId) || null;
+  }
+
+  stats() {
+    const statuses = [...this.deliveries.values()];
+    return {
+      pending: this.pending.size,
+      retrying: [...this.pending.values()].filter(e => e.attempts > 0).length,
+      processed: statuses.filter(s => s === 'done').length,
+      deadLetters: statuses.filter(s => s === 'dead').length
+    };
+  }
+}
+
+module.exports = EventQueue;
@@ -0,0 +1,44 @@
+// HTML helpers shared by everything that reads or writes Plane's HTML fields
+// (descriptions, comment_html)
+
+// Plane stores descriptions and comments as HTML; reports want plain text
+function stripHtml(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// The reverse, for putting plain text (titles, comment text, payload fields)
+// into HTML fields
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Plain text (a prompt, a pasted report) as description HTML: blank lines
+// separate paragraphs, single newlines become line breaks
+function textToHtml(text) {
+  const paragraphs = String(text ?? '').replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/);
+  return paragraphs
+    .map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+    .join('');
+}
+
+module.exports = {
+  stripHtml,
+  escapeHtml,
+  textToHtml
+};
@@ -0,0 +1,176 @@
+// Issue export to CSV, JSON and Markdown
+// Pulls every issue in a project with its comments, resolves label, state and
+// assignee IDs to names, and renders the result for reports or backups.
+const fs = require('fs');
+const { stripHtml } = require('./html');
+
+const FORMATS = ['csv', 'json', 'md'];
+
+// Order of state groups in the Markdown report
+const STATE_GROUP_ORDER = ['started', 'unstarted', 'backlog', 'completed', 'cancelled'];
+
+const CSV_COLUMNS = [
+  'key', 'name', 'state', 'state_group', 'priority', 'labels', 'assignees',
+  'created_at', 'updated_at', 'completed_at', 'description', 'comments', 'id'
+];
+
+// Fetch a project's issues and comments and resolve IDs to names
+async function buildExport(agent, workspaceSlug, projectId, { filters = {}, comments = true } = {}) {
+  const [project, { labels, states }, members] = await Promise.all([
+    agent.getProject(workspaceSlug, projectId),
+    agent.getProjectMetadata(workspaceSlug, projectId),
+    agent.getMembers(workspaceSlug, projectId).catch(error => {
+      console.log(`⚠️  Could not load members, exporting assignee IDs: ${error.message}`);
+      return [];
+    })
+  ]);
+
+  const labelNames = new Map(labels.map(label => [label.id, label.name]));
+  const statesById = new Map(states.map(state => [state.id, state]));
+  const memberNames = new Map(members.map(member => {
+    const user = member.member || member;
+    return [user.id, user.display_name || user.email || user.id];
+  }));
+
+  const issues = await agent.getIssues(workspaceSlug, projectId, filters);
+  console.log(`📦 Exporting ${issues.length} issue(s)${comments ? ' with comments' : ''}...`);
+
+  // The request scheduler limits how many comment fetches run at once
+  const records = await Promise.all(issues.map(async issue => {
+    const state = statesById.get(issue.state);
+    const issueComments = comments
+      ? await agent.collect(agent.iterateComments(workspaceSlug, projectId, issue.id))
+      : [];
+
+    return {
+      id: issue.id,
+      key: project.identifier ? `${project.identifier}-${issue.sequence_id}` : String(issue.sequence_id ?? ''),
+      sequenceId: issue.sequence_id,
+      name: issue.name,
+      state: state ? state.name : issue.state,
+      stateGroup: state ? state.group : undefined,
+      priority: issue.priority || 'none',
+      labels: (issue.labels || []).map(id => labelNames.get(id) || id),
+      assignees: (issue.assignees || []).map(id => memberNames.get(id) || id),
+      createdAt: issue.created_at,
+      updatedAt: issue.updated_at,
+      completedAt: issue.completed_at || undefined,
+      description: stripHtml(issue.description_html || issue.description_stripped),
+      comments: issueComments.map(comment => ({
+        author: memberNames.get(comment.actor || comment.created_by) || comment.actor || comment.created_by,
+        createdAt: comment.created_at,
+        text: stripHtml(comment.comment_html || comment.comment_stripped)
+      }))
+    };
+  }));
+
+  records.sort((a, b) => (a.sequenceId || 0) - (b.sequenceId || 0));
+
+  return {
+    workspace: workspaceSlug,
+    project: { id: project.id, name: project.name, identifier: project.identifier },
+    exportedAt: new Date().toISOString(),
+    filters,
+    issues: records
+  };
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(data) {
+  const rows = data.issues.map(issue => ({
+    key: issue.key,
+    name: issue.name,
+    state: issue.state,
+    state_group: issue.stateGroup,
+    priority: issue.priority,
+    labels: issue.labels.join(', '),
+    assignees: issue.assignees.join(', '),
+    created_at: issue.createdAt,
+    updated_at: issue.updatedAt,
+    completed_at: issue.completedAt,
+    description: issue.description,
+    comments: issue.comments.map(c => `[${c.createdAt}] ${c.author}: ${c.text}`).join('\n\n'),
+    id: issue.id
+  }));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvField(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+}
+
+function toJSON(data) {
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+// Status report: one section per state, issues in sequence order
+function toMarkdown(data) {
+  const groups = new Map();
+  for (const issue of data.issues) {
+    if (!groups.has(issue.state)) groups.set(issue.state, { group: issue.stateGroup, issues: [] });
+    groups.get(issue.state).issues.push(issue);
+  }
+
+  const rank = group => {
+    const index = STATE_GROUP_ORDER.indexOf(group);
+    return index === -1 ? STATE_GROUP_ORDER.length : index;
+  };
+  const sections = [...groups.entries()].sort(([, a], [, b]) => rank(a.group) - rank(b.group));
+
+  const lines = [
+    `# ${data.project.name || data.project.id} - Issues`,
+    '',
+    `Exported ${data.exportedAt} from ${data.workspace}. ${data.issues.length} issue(s).`,
+    ''
+  ];
+
+  sections.forEach(([state, section]) => {
+    lines.push(`## ${state} (${section.issues.length})`, '');
+
+    section.issues.forEach(issue => {
+      const meta = [`priority: ${issue.priority}`];
+      if (issue.labels.length > 0) meta.push(`labels: ${issue.labels.join(', ')}`);
+      if (issue.assignees.length > 0) meta.push(`assignees: ${issue.assignees.join(', ')}`);
+
+      lines.push(`### ${issue.key} ${issue.name}`, '', `*${meta.join(' · ')}*`, '');
+      if (issue.description) lines.push(issue.description, '');
+
+      if (issue.comments.length > 0) {
+        lines.push(`**Comments (${issue.comments.length})**`, '');
+        issue.comments.forEach(comment => {
+          const text = comment.text.replace(/\n/g, '\n  ');
+          lines.push(`- ${comment.author} (${comment.createdAt}): ${text}`);
+        });
+        lines.push('');
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+// Render and write the export; returns the file name
+function writeExport(data, format, outputFile) {
+  const renderers = { csv: toCSV, json: toJSON, md: toMarkdown };
+  if (!renderers[format]) {
+    throw new Error(`Unknown export format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  const file = outputFile
+    || `${data.project.identifier || data.project.id}-issues-${data.exportedAt.slice(0, 10)}.${format}`;
+  fs.writeFileSync(file, renderers[format](data));
+  return file;
+}
+
+module.exports = {
+  FORMATS,
+  buildExport,
+  toCSV,
+  toJSON,
+  toMarkdown,
+  writeExport
+};
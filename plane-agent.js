@@ -1,78 +1,473 @@
 #!/usr/bin/env node
 
 // Plane API Agent for automated ticket/issue management
-const PLANE_API_URL = process.env.PLANE_URL || 'https://plane-production.up.railway.app';
-const PLANE_API_KEY = process.env.PLANE_API_KEY || 'plane_api_9a3f1d487974422b8e59cd855d39c4df';
+const { PRIORITIES, analyzeTicket, normalizePriority } = require('./ticket-analysis');
+const { AuthError, NotFoundError, PlaneApiError, PlaneMappingError, errorFromResponse } = require('./plane-errors');
+const RequestScheduler = require('./request-scheduler');
+const { readTickets, validateRows, printPreview, writeReport } = require('./ticket-import');
+const { discoverApiBase, clearApiBase } = require('./plane-discovery');
+const { FORMATS: EXPORT_FORMATS, buildExport, writeExport } = require('./issue-export');
+const { escapeHtml, textToHtml } = require('./html');
+const { SimilarityIndex } = require('./similarity-index');
+const { config } = require('./config');
+
+const PLANE_API_URL = config.get('plane.url');
+const PLANE_API_KEY = config.get('plane.apiKey');
+
+// How long fetched project labels/states are reused
+const METADATA_TTL_MS = 5 * 60 * 1000;
+
+// Marker appended to every comment the agent posts, so webhook handlers can
+// recognise their own comments and never comment twice on the same issue
+const COMMENT_MARKER_PREFIX = '[indigo-agent:';
+
+// external_source of sub-issues created by the agent
+const SUB_ISSUE_SOURCE = 'indigo-agent';
 
 class PlaneAgent {
-  constructor(apiUrl = PLANE_API_URL, apiKey = PLANE_API_KEY) {
+  // Options: concurrency (parallel requests), maxRetries (transient failures)
+  constructor(apiUrl = PLANE_API_URL, apiKey = PLANE_API_KEY, options = {}) {
     this.apiUrl = apiUrl.replace(/\/$/, ''); // Remove trailing slash
     this.apiKey = apiKey;
+    this.pageSize = 100; // Items per page for list endpoints
     this.headers = {
       'Authorization': `Bearer ${apiKey}`,
       'X-API-Key': apiKey,
       'Content-Type': 'application/json'
     };
+    // Every request goes through one scheduler: concurrency limit,
+    // Retry-After / rate-limit headers, jittered retries of 5xx
+    this.scheduler = new RequestScheduler({
+      concurrency: options.concurrency || config.get('plane.concurrency'),
+      maxRetries: options.maxRetries
+    });
+  }
+
+  // Working API prefix ('/api/v1', '/api', ...), discovered once per instance
+  async getApiBase() {
+    if (!this.apiBasePromise) {
+      this.apiBasePromise = discoverApiBase(this.apiUrl, this.headers).catch(error => {
+        this.apiBasePromise = null; // Allow a later call to probe again
+        throw error;
+      });
+    }
+    return this.apiBasePromise;
   }
 
+  // Throws AuthError, NotFoundError, RateLimitedError, ServerError or
+  // PlaneApiError (see plane-errors.js)
   async request(endpoint, options = {}) {
-    // Try different API path patterns for self-hosted Plane
-    const apiPaths = ['/api/v1', '/api', '/api/public', ''];
-    
-    for (const apiPath of apiPaths) {
-      const url = `${this.apiUrl}${apiPath}${endpoint}`;
-      console.log(`🔍 Trying: ${url}`);
-      
-      try {
-        const response = await fetch(url, {
-          headers: this.headers,
-          ...options
-        });
+    if (!this.apiKey) throw new AuthError('PLANE_API_KEY is not set');
+    const url = `${this.apiUrl}${await this.getApiBase()}${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
 
-        console.log(`📡 Response: ${response.status} ${response.statusText}`);
-        
-        if (response.status === 404) {
-          continue; // Try next API path
-        }
+    return this.scheduler.schedule(() => this.send(url, options), { method });
+  }
 
-        if (!response.ok) {
-          const text = await response.text();
-          throw new Error(`API error ${response.status}: ${text}`);
-        }
+  // One HTTP attempt; request() retries it through the scheduler
+  async send(url, options) {
+    const response = await fetch(url, {
+      headers: this.headers,
+      ...options
+    });
 
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          return await response.json();
-        } else {
-          const text = await response.text();
-          console.log('📄 Non-JSON response:', text.substring(0, 200));
-          throw new Error('Expected JSON response but got HTML/text');
-        }
-      } catch (error) {
-        console.log(`❌ Failed ${apiPath}: ${error.message}`);
-        if (apiPath === apiPaths[apiPaths.length - 1]) {
-          throw error; // Last attempt failed
-        }
+    this.scheduler.observe(response.headers);
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, url);
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      return await response.json();
+    }
+
+    const text = await response.text();
+    throw new PlaneApiError(`Expected JSON response but got: ${text.substring(0, 200)}`, {
+      status: response.status,
+      url,
+      body: text
+    });
+  }
+
+  // Yield every item from a list endpoint, following Plane's cursor
+  // pagination (next_cursor / next_page_results). Endpoints that return a
+  // plain array are yielded as-is.
+  async *paginate(endpoint, params = {}) {
+    let cursor;
+
+    do {
+      const query = new URLSearchParams({ per_page: String(this.pageSize) });
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+      });
+      if (cursor) query.set('cursor', cursor);
+
+      const page = await this.request(`${endpoint}?${query}`);
+
+      if (Array.isArray(page)) {
+        yield* page;
+        return;
       }
+
+      yield* (page?.results || []);
+      cursor = page?.next_page_results ? page.next_cursor : null;
+    } while (cursor);
+  }
+
+  // Drain an async iterator into an array
+  async collect(iterator) {
+    const items = [];
+    for await (const item of iterator) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  iterateWorkspaces() {
+    return this.paginate('/workspaces/');
+  }
+
+  iterateProjects(workspaceSlug) {
+    return this.paginate(`/workspaces/${workspaceSlug}/projects/`);
+  }
+
+  // Iterate issues in a project. Filters: state, label, assignee (IDs) and
+  // updatedSince (date). They are sent to Plane and also applied locally,
+  // in case the server ignores any of them.
+  async *iterateIssues(workspaceSlug, projectId, filters = {}) {
+    const { state, label, assignee, updatedSince } = filters;
+    const since = updatedSince ? new Date(updatedSince) : null;
+
+    if (since && Number.isNaN(since.getTime())) {
+      throw new Error(`Invalid updatedSince date: ${updatedSince}`);
+    }
+
+    const issues = this.paginate(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/`, {
+      state,
+      labels: label,
+      assignees: assignee,
+      updated_at__gte: since ? since.toISOString() : undefined
+    });
+
+    for await (const issue of issues) {
+      if (state && issue.state !== state) continue;
+      if (label && !(issue.labels || []).includes(label)) continue;
+      if (assignee && !(issue.assignees || []).includes(assignee)) continue;
+      if (since && new Date(issue.updated_at) < since) continue;
+      yield issue;
     }
   }
 
   // Get all workspaces
   async getWorkspaces() {
     console.log('🏢 Getting workspaces...');
-    return await this.request('/workspaces/');
+    return await this.collect(this.iterateWorkspaces());
+  }
+
+  // Resolve a workspace UUID (as sent in webhook payloads) to its slug
+  async getWorkspaceSlug(workspaceId) {
+    if (!this.workspaceSlugs) {
+      const workspaces = await this.getWorkspaces();
+      this.workspaceSlugs = new Map((workspaces || []).map(w => [w.id, w.slug]));
+    }
+    return this.workspaceSlugs.get(workspaceId);
   }
 
   // Get projects in workspace
   async getProjects(workspaceSlug) {
     console.log(`📁 Getting projects for workspace: ${workspaceSlug}`);
-    return await this.request(`/workspaces/${workspaceSlug}/projects/`);
+    return await this.collect(this.iterateProjects(workspaceSlug));
+  }
+
+  // Get a single project (name, identifier used in issue keys such as IND-123)
+  async getProject(workspaceSlug, projectId) {
+    return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/`);
+  }
+
+  // Get project members
+  async getMembers(workspaceSlug, projectId) {
+    return await this.collect(this.paginate(`/workspaces/${workspaceSlug}/projects/${projectId}/members/`));
+  }
+
+  // Map an @mention (user ID, display name or email) to a project member's ID
+  async resolveMemberId(workspaceSlug, projectId, mention) {
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(mention)) {
+      return mention;
+    }
+
+    if (!this.membersCache) this.membersCache = new Map();
+    const key = `${workspaceSlug}/${projectId}`;
+    if (!this.membersCache.has(key)) {
+      const members = await this.getMembers(workspaceSlug, projectId);
+      this.membersCache.set(key, members.map(member => member.member || member));
+    }
+
+    const wanted = mention.replace(/^@/, '').toLowerCase();
+    const user = this.membersCache.get(key).find(u =>
+      [u.display_name, u.email, u.email && u.email.split('@')[0]]
+        .some(name => name && name.toLowerCase() === wanted)
+    );
+    return user ? user.id : undefined;
   }
 
-  // Get issues in project
-  async getIssues(workspaceSlug, projectId) {
+  // Get issues in project (all pages)
+  async getIssues(workspaceSlug, projectId, filters = {}) {
     console.log(`🎫 Getting issues for project: ${projectId}`);
-    return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/`);
+    return await this.collect(this.iterateIssues(workspaceSlug, projectId, filters));
+  }
+
+  // Get labels in project
+  async getLabels(workspaceSlug, projectId) {
+    return await this.collect(this.paginate(`/workspaces/${workspaceSlug}/projects/${projectId}/labels/`));
+  }
+
+  // Create label in project
+  async createLabel(workspaceSlug, projectId, name) {
+    console.log(`🏷️  Creating label: ${name}`);
+    return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/labels/`, {
+      method: 'POST',
+      body: JSON.stringify({ name })
+    });
+  }
+
+  // Get workflow states in project
+  async getStates(workspaceSlug, projectId) {
+    return await this.collect(this.paginate(`/workspaces/${workspaceSlug}/projects/${projectId}/states/`));
+  }
+
+  // Project labels and states, cached per instance
+  async getProjectMetadata(workspaceSlug, projectId) {
+    if (!this.metadataCache) this.metadataCache = new Map();
+
+    const key = `${workspaceSlug}/${projectId}`;
+    const cached = this.metadataCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.promise;
+    }
+
+    // Cache the promise so concurrent tickets share one fetch
+    console.log(`📚 Loading labels and states for project: ${projectId}`);
+    const promise = Promise.all([
+      this.getLabels(workspaceSlug, projectId),
+      this.getStates(workspaceSlug, projectId)
+    ]).then(([labels, states]) => ({ labels, states, creating: new Map() }));
+
+    this.metadataCache.set(key, { promise, fetchedAt: Date.now() });
+    promise.catch(() => this.metadataCache.delete(key));
+    return promise;
+  }
+
+  // TF-IDF index over the project's issues for duplicate detection, cached
+  // like the project metadata; new issues are added as they're created
+  async getSimilarityIndex(workspaceSlug, projectId) {
+    if (!this.similarityCache) this.similarityCache = new Map();
+
+    const key = `${workspaceSlug}/${projectId}`;
+    const cached = this.similarityCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < METADATA_TTL_MS) {
+      return cached.promise;
+    }
+
+    const promise = Promise.all([
+      this.getProject(workspaceSlug, projectId),
+      this.getIssues(workspaceSlug, projectId)
+    ]).then(([project, issues]) => {
+      const index = SimilarityIndex.fromIssues(issues);
+      index.identifier = project.identifier;
+      return index;
+    });
+
+    this.similarityCache.set(key, { promise, fetchedAt: Date.now() });
+    promise.catch(() => this.similarityCache.delete(key));
+    return promise;
+  }
+
+  // Likely duplicates of { title, description } among the project's issues,
+  // best first: [{ id, key, name, score, url }]
+  // Options: threshold (0-1), limit, excludeId
+  async findDuplicates(workspaceSlug, projectId, ticket, options = {}) {
+    const index = await this.getSimilarityIndex(workspaceSlug, projectId);
+
+    return index.findSimilar(ticket, options).map(({ id, score, doc }) => ({
+      id,
+      key: index.identifier && doc.sequenceId !== undefined ? `${index.identifier}-${doc.sequenceId}` : id,
+      name: doc.title,
+      score,
+      url: this.issueUrl(workspaceSlug, projectId, id)
+    }));
+  }
+
+  // Remember an issue for later duplicate checks (no-op before the index is built)
+  async indexIssue(workspaceSlug, projectId, issue) {
+    const cached = this.similarityCache?.get(`${workspaceSlug}/${projectId}`);
+    if (cached) {
+      const index = await cached.promise.catch(() => null);
+      if (index) index.addIssue(issue);
+    }
+  }
+
+  // Link to an issue in the Plane web app
+  issueUrl(workspaceSlug, projectId, issueId) {
+    return `${this.apiUrl}/${workspaceSlug}/projects/${projectId}/issues/${issueId}`;
+  }
+
+  // Comment "possible duplicate of ..." on a newly created issue, at most once.
+  // Returns the duplicates found.
+  async flagDuplicates(workspaceSlug, projectId, issue, options = {}) {
+    const duplicates = await this.findDuplicates(workspaceSlug, projectId, {
+      title: issue.name || issue.title || '',
+      description: issue.description_stripped || issue.description || ''
+    }, { ...options, excludeId: issue.id });
+
+    await this.indexIssue(workspaceSlug, projectId, issue);
+
+    if (duplicates.length === 0) {
+      console.log('🔍 No likely duplicates found');
+      return duplicates;
+    }
+
+    if (await this.hasAgentComment(workspaceSlug, projectId, issue.id, 'duplicates')) {
+      console.log('⏭️  Duplicate warning already posted on this issue');
+      return duplicates;
+    }
+
+    const comment = `🔁 **Possible duplicate of:**
+${duplicates.map(d => `- ${escapeHtml(d.key)} ${escapeHtml(d.name)} (${Math.round(d.score * 100)}% similar) ${escapeHtml(d.url)}`).join('\n')}
+
+*Close this issue if it's the same problem, or ignore this comment if not.*`;
+
+    await this.addComment(workspaceSlug, projectId, issue.id, PlaneAgent.withMarker(comment, 'duplicates'));
+    console.log(`🔁 Flagged ${duplicates.length} possible duplicate(s)`);
+    return duplicates;
+  }
+
+  // Map a state name (or state group such as "unstarted") to its ID
+  async resolveStateId(workspaceSlug, projectId, stateName) {
+    const { states } = await this.getProjectMetadata(workspaceSlug, projectId);
+    const wanted = stateName.toLowerCase();
+
+    const state = states.find(s => s.name.toLowerCase() === wanted)
+      || states.find(s => s.group === wanted && s.default)
+      || states.find(s => s.group === wanted);
+
+    if (!state) {
+      throw new PlaneMappingError(`No state "${stateName}" in project ${projectId}`, {
+        field: 'state',
+        value: stateName,
+        available: states.map(s => s.name)
+      });
+    }
+    return state.id;
+  }
+
+  // Move an issue to the first state that exists out of several candidates
+  // (names or groups, e.g. ['Failed', 'Blocked', 'cancelled']). Returns the
+  // candidate used.
+  async transitionIssue(workspaceSlug, projectId, issueId, candidates) {
+    for (const candidate of candidates) {
+      let stateId;
+      try {
+        stateId = await this.resolveStateId(workspaceSlug, projectId, candidate);
+      } catch (error) {
+        if (error instanceof PlaneMappingError) continue;
+        throw error;
+      }
+      await this.updateIssue(workspaceSlug, projectId, issueId, { state: stateId });
+      return candidate;
+    }
+
+    throw new PlaneMappingError(`None of the states ${candidates.join(', ')} exist in project ${projectId}`, {
+      field: 'state',
+      value: candidates.join(', ')
+    });
+  }
+
+  // Map label names to IDs. Missing labels are created when createMissing is
+  // set, otherwise skipped with a warning.
+  async resolveLabelIds(workspaceSlug, projectId, labelNames, { createMissing = false } = {}) {
+    const metadata = await this.getProjectMetadata(workspaceSlug, projectId);
+    const ids = [];
+    const missing = [];
+
+    for (const name of labelNames) {
+      const label = metadata.labels.find(l => l.name.toLowerCase() === name.toLowerCase());
+      if (label) {
+        ids.push(label.id);
+      } else if (createMissing) {
+        // Share in-flight creations so parallel tickets don't create duplicates
+        const key = name.toLowerCase();
+        if (!metadata.creating.has(key)) {
+          metadata.creating.set(key, this.createLabel(workspaceSlug, projectId, name).then(created => {
+            if (!created || !created.id) {
+              throw new PlaneMappingError(`Could not create label "${name}"`, { field: 'labels', value: name });
+            }
+            metadata.labels.push(created);
+            return created;
+          }).finally(() => metadata.creating.delete(key)));
+        }
+        const created = await metadata.creating.get(key);
+        ids.push(created.id);
+      } else {
+        missing.push(name);
+      }
+    }
+
+    if (missing.length > 0) {
+      console.log(`⚠️  Skipping labels not in project: ${missing.join(', ')} (use --create-labels to create them)`);
+    }
+    return ids;
+  }
+
+  // Turn analysis names (priority, state, labels) into values Plane accepts
+  async resolveIssueFields(workspaceSlug, projectId, analysis, options = {}) {
+    const priority = normalizePriority(analysis.priority);
+    if (!priority) {
+      throw new PlaneMappingError(`Unknown priority "${analysis.priority}"`, {
+        field: 'priority',
+        value: analysis.priority,
+        available: PRIORITIES
+      });
+    }
+
+    return {
+      priority,
+      state: analysis.state ? await this.resolveStateId(workspaceSlug, projectId, analysis.state) : undefined,
+      labels: await this.resolveLabelIds(workspaceSlug, projectId, analysis.labels || [], {
+        createMissing: options.createLabels
+      })
+    };
+  }
+
+  // Get a single issue
+  async getIssue(workspaceSlug, projectId, issueId) {
+    return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/${issueId}/`);
+  }
+
+  // Get an issue by its human-readable key such as "IND-123" (null if there
+  // is none). The issue's project ID is in its "project" field.
+  async getIssueByKey(workspaceSlug, issueKey) {
+    try {
+      return await this.request(`/workspaces/${workspaceSlug}/issues/${encodeURIComponent(issueKey)}/`);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
+  }
+
+  // Get the issue linked to an external object (null if there is none)
+  async findIssueByExternalId(workspaceSlug, projectId, externalSource, externalId) {
+    const params = new URLSearchParams({ external_source: externalSource, external_id: externalId });
+    try {
+      return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/?${params}`);
+    } catch (error) {
+      if (error instanceof NotFoundError) return null;
+      throw error;
+    }
   }
 
   // Create new issue
@@ -85,6 +480,84 @@ class PlaneAgent {
     });
   }
 
+  // Update fields on an existing issue
+  async updateIssue(workspaceSlug, projectId, issueId, updates) {
+    console.log(`✏️  Updating issue: ${issueId}`);
+    
+    return await this.request(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/${issueId}/`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  iterateComments(workspaceSlug, projectId, issueId) {
+    return this.paginate(`/workspaces/${workspaceSlug}/projects/${projectId}/issues/${issueId}/comments/`);
+  }
+
+  // Create an issue under a parent issue. externalId makes creation
+  // idempotent: Plane answers 409 with the existing issue's ID when an issue
+  // with the same external ID exists. Returns { issue, created }.
+  async createSubIssue(workspaceSlug, projectId, parentId, issueData, externalId) {
+    try {
+      const issue = await this.createIssue(workspaceSlug, projectId, {
+        ...issueData,
+        parent: parentId,
+        ...(externalId && { external_source: SUB_ISSUE_SOURCE, external_id: externalId })
+      });
+      return { issue, created: true };
+    } catch (error) {
+      if (error instanceof PlaneApiError && error.status === 409) {
+        let existingId;
+        try {
+          existingId = JSON.parse(error.body).id;
+        } catch (parseError) {
+          // Older Plane versions don't include the ID
+        }
+        console.log(`⏭️  Sub-issue already exists: ${issueData.name}`);
+        return { issue: { id: existingId, name: issueData.name }, created: false };
+      }
+      throw error;
+    }
+  }
+
+  // Get comments on issue
+  async getComments(workspaceSlug, projectId, issueId) {
+    console.log(`💬 Getting comments for issue: ${issueId}`);
+    return await this.collect(this.iterateComments(workspaceSlug, projectId, issueId));
+  }
+
+  // Check whether the agent already posted a comment of this kind on the issue
+  async hasAgentComment(workspaceSlug, projectId, issueId, kind) {
+    const comments = await this.getComments(workspaceSlug, projectId, issueId);
+    return comments.some(comment => PlaneAgent.hasMarker(
+      comment.comment_html || comment.comment_stripped || '', kind
+    ));
+  }
+
+  // Append the agent marker to a comment body
+  static withMarker(comment, kind) {
+    return `${comment}\n\n${COMMENT_MARKER_PREFIX}${kind}]`;
+  }
+
+  // Does the text carry the agent marker (of the given kind, or any kind)?
+  static hasMarker(text, kind) {
+    if (!text) return false;
+    return kind
+      ? text.includes(`${COMMENT_MARKER_PREFIX}${kind}]`)
+      : text.includes(COMMENT_MARKER_PREFIX);
+  }
+
+  // Was this comment (webhook payload or API object) posted by the agent?
+  static isAgentComment(comment) {
+    const agentUserId = config.get('plane.agentUserId');
+    if (agentUserId && [comment.actor, comment.created_by].includes(agentUserId)) {
+      return true;
+    }
+    return PlaneAgent.hasMarker(
+      comment.comment_html || comment.comment_stripped || comment.comment || ''
+    );
+  }
+
   // Add comment to issue
   async addComment(workspaceSlug, projectId, issueId, comment) {
     console.log(`💬 Adding comment to issue: ${issueId}`);
@@ -98,38 +571,74 @@ class PlaneAgent {
     });
   }
 
+  // Webhooks registered on a workspace
+  async getWebhooks(workspaceSlug) {
+    return await this.collect(this.paginate(`/workspaces/${workspaceSlug}/webhooks/`));
+  }
+
+  // Create a webhook; only this response carries its secret_key
+  async createWebhook(workspaceSlug, webhookData) {
+    return await this.request(`/workspaces/${workspaceSlug}/webhooks/`, {
+      method: 'POST',
+      body: JSON.stringify(webhookData)
+    });
+  }
+
+  async updateWebhook(workspaceSlug, webhookId, updates) {
+    return await this.request(`/workspaces/${workspaceSlug}/webhooks/${webhookId}/`, {
+      method: 'PATCH',
+      body: JSON.stringify(updates)
+    });
+  }
+
+  async deleteWebhook(workspaceSlug, webhookId) {
+    return await this.request(`/workspaces/${workspaceSlug}/webhooks/${webhookId}/`, {
+      method: 'DELETE'
+    });
+  }
+
   // AI-powered ticket creation
-  async createAITicket(workspaceSlug, projectId, prompt) {
+  // Options: createLabels - create analysis labels missing from the project;
+  // checkDuplicates (default true) - warn about similar existing issues
+  async createAITicket(workspaceSlug, projectId, prompt, options = {}) {
     console.log('🤖 Creating AI-powered ticket...');
     
     // Analyze prompt to determine ticket details
     const analysis = this.analyzePrompt(prompt);
     
-    const issueData = {
-      name: analysis.title,
-      description: analysis.description,
-      priority: analysis.priority,
-      state: analysis.state,
-      labels: analysis.labels
-    };
-
-    console.log('🎯 Generated issue data:', JSON.stringify(issueData, null, 2));
+    if (options.checkDuplicates !== false) {
+      await this.warnDuplicates(workspaceSlug, projectId, analysis, options);
+    }
     
     try {
+      // Plane wants state and label IDs, not names
+      const fields = await this.resolveIssueFields(workspaceSlug, projectId, analysis, options);
+      
+      const issueData = {
+        name: analysis.title,
+        description_html: textToHtml(analysis.description),
+        priority: fields.priority,
+        ...(fields.state && { state: fields.state }),
+        labels: fields.labels
+      };
+
+      console.log('🎯 Generated issue data:', JSON.stringify(issueData, null, 2));
+      
       const issue = await this.createIssue(workspaceSlug, projectId, issueData);
+      if (issue && issue.id) await this.indexIssue(workspaceSlug, projectId, issue);
       
       // Add AI analysis comment
       if (issue && issue.id) {
         const aiComment = `🤖 **AI Analysis:**
 
-**Category:** ${analysis.category}
+**Category:** ${analysis.categoryName}
 **Estimated Complexity:** ${analysis.complexity}
 **Suggested Priority:** ${analysis.priority}
-**Auto-generated Tags:** ${analysis.labels.join(', ')}
+**Auto-generated Tags:** ${analysis.labels.join(', ') || 'none'}
 
 *This ticket was created automatically by Plane Agent.*`;
 
-        await this.addComment(workspaceSlug, projectId, issue.id, aiComment);
+        await this.addComment(workspaceSlug, projectId, issue.id, PlaneAgent.withMarker(escapeHtml(aiComment), 'ai-analysis'));
       }
       
       return issue;
@@ -139,90 +648,85 @@ class PlaneAgent {
     }
   }
 
-  // Analyze prompt to extract ticket details
-  analyzePrompt(prompt) {
-    const lowerPrompt = prompt.toLowerCase();
-    
-    // Determine category
-    let category = 'TASK';
-    let priority = 'medium';
-    let state = 'Todo';
-    
-    if (lowerPrompt.includes('bug') || lowerPrompt.includes('error') || lowerPrompt.includes('issue')) {
-      category = 'BUG';
-      priority = 'high';
-    } else if (lowerPrompt.includes('feature') || lowerPrompt.includes('add') || lowerPrompt.includes('implement')) {
-      category = 'FEATURE';
-      priority = 'medium';
-    } else if (lowerPrompt.includes('improve') || lowerPrompt.includes('optimize')) {
-      category = 'IMPROVEMENT';
-      priority = 'low';
-    }
-
-    // Extract urgency
-    if (lowerPrompt.includes('urgent') || lowerPrompt.includes('asap') || lowerPrompt.includes('critical')) {
-      priority = 'urgent';
-    } else if (lowerPrompt.includes('low priority') || lowerPrompt.includes('when possible')) {
-      priority = 'low';
-    }
-
-    // Generate title (first sentence or up to 80 chars)
-    let title = prompt.split('.')[0].trim();
-    if (title.length > 80) {
-      title = title.substring(0, 77) + '...';
-    }
-
-    // Extract labels/tags
-    const labels = [];
-    const techKeywords = ['api', 'database', 'frontend', 'backend', 'ui', 'ux', 'security', 'performance'];
-    techKeywords.forEach(keyword => {
-      if (lowerPrompt.includes(keyword)) {
-        labels.push(keyword);
+  // Print likely duplicates of a ticket about to be created. A failed check
+  // only warns; it never blocks creating the ticket.
+  async warnDuplicates(workspaceSlug, projectId, analysis, options = {}) {
+    try {
+      const duplicates = await this.findDuplicates(workspaceSlug, projectId, analysis, {
+        threshold: options.duplicateThreshold
+      });
+      if (duplicates.length > 0) {
+        console.log(`⚠️  "${analysis.title}" looks like a possible duplicate of:`);
+        duplicates.forEach(d => console.log(`   ${d.key} ${d.name} (${Math.round(d.score * 100)}% similar) ${d.url}`));
       }
-    });
-
-    // Determine complexity
-    const wordCount = prompt.split(' ').length;
-    let complexity = 'LOW';
-    if (wordCount > 50 || labels.length > 2) complexity = 'MEDIUM';
-    if (wordCount > 100 || lowerPrompt.includes('integration') || lowerPrompt.includes('architecture')) {
-      complexity = 'HIGH';
+      return duplicates;
+    } catch (error) {
+      if (error instanceof AuthError) throw error;
+      console.log(`⚠️  Duplicate check failed: ${error.message}`);
+      return [];
     }
+  }
+
+  // Analyze prompt to extract ticket details. The prompt is a description
+  // string, or a { title, description, priority, labels, state } object whose
+  // explicit fields win over the analysis (as produced by ticket-import.js).
+  analyzePrompt(prompt) {
+    const ticket = typeof prompt === 'string' ? { description: prompt } : prompt;
+    const analysis = analyzeTicket({ title: ticket.title, description: ticket.description || '' });
 
     return {
-      title,
-      description: prompt,
-      category,
-      priority,
-      state,
-      labels,
-      complexity
+      ...analysis,
+      description: analysis.description || analysis.title,
+      priority: ticket.priority || analysis.priority,
+      labels: ticket.labels && ticket.labels.length > 0 ? ticket.labels : analysis.labels,
+      // Without one, Plane puts the issue in the project's default state
+      ...(ticket.state && { state: ticket.state })
     };
   }
 
   // Bulk ticket operations
-  async createTicketsFromList(workspaceSlug, projectId, ticketList) {
-    console.log(`📋 Creating ${ticketList.length} tickets...`);
+  // Options (besides createAITicket's): concurrency - tickets created in
+  // parallel; onProgress({ done, total, succeeded, failed }) - called after each
+  async createTicketsFromList(workspaceSlug, projectId, ticketList, options = {}) {
+    const concurrency = Math.max(1, options.concurrency || this.scheduler.concurrency);
+    console.log(`📋 Creating ${ticketList.length} tickets (${concurrency} at a time)...`);
     
-    const results = [];
+    const results = new Array(ticketList.length);
+    const progress = { done: 0, total: ticketList.length, succeeded: 0, failed: 0 };
+    const onProgress = options.onProgress || (p => {
+      console.log(`📈 Progress: ${p.done}/${p.total} (✅ ${p.succeeded} ❌ ${p.failed})`);
+    });
+    let next = 0;
+    let fatal = null;
     
-    for (let i = 0; i < ticketList.length; i++) {
-      const ticketPrompt = ticketList[i];
-      console.log(`\n🎫 Creating ticket ${i + 1}/${ticketList.length}`);
-      
-      try {
-        const ticket = await this.createAITicket(workspaceSlug, projectId, ticketPrompt);
-        results.push({ success: true, ticket, prompt: ticketPrompt });
+    // Each worker takes the next ticket until the list is exhausted;
+    // pacing and 429/5xx handling happen in the request scheduler
+    const worker = async () => {
+      while (!fatal && next < ticketList.length) {
+        const i = next++;
+        const ticketPrompt = ticketList[i];
         
-        // Rate limiting - wait between requests
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        try {
+          const ticket = await this.createAITicket(workspaceSlug, projectId, ticketPrompt, options);
+          results[i] = { success: true, ticket, prompt: ticketPrompt };
+          progress.succeeded++;
+        } catch (error) {
+          console.error(`❌ Failed to create ticket ${i + 1}: ${error.message}`);
+          results[i] = { success: false, error: error.message, prompt: ticketPrompt };
+          progress.failed++;
+          
+          // A bad API key fails every remaining ticket the same way
+          if (error instanceof AuthError) fatal = error;
+        }
         
-      } catch (error) {
-        console.error(`❌ Failed to create ticket: ${error.message}`);
-        results.push({ success: false, error: error.message, prompt: ticketPrompt });
+        progress.done++;
+        onProgress({ ...progress });
       }
-    }
+    };
     
+    await Promise.all(Array.from({ length: Math.min(concurrency, ticketList.length) }, worker));
+    
+    if (fatal) throw fatal;
     return results;
   }
 
@@ -244,17 +748,64 @@ class PlaneAgent {
   }
 }
 
+// Flags that don't take a value
+const BOOLEAN_FLAGS = ['create-labels', 'dry-run', 'yes', 'no-comments', 'no-duplicate-check'];
+
+// Ask a yes/no question on the terminal
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    console.log(`${question} - not a terminal, pass --yes to confirm`);
+    return false;
+  }
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Split CLI args into positionals and --flag [value] options
+function parseArgs(rawArgs) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < rawArgs.length; i++) {
+    const arg = rawArgs[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+    } else if (BOOLEAN_FLAGS.includes(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = rawArgs[++i];
+    }
+  }
+  return { args, flags };
+}
+
 // CLI usage
 if (require.main === module) {
-  const [,, command, ...args] = process.argv;
+  const [,, command, ...rawArgs] = process.argv;
+  const { args, flags } = parseArgs(rawArgs);
+  if (command) config.ensure(['plane.url', 'plane.apiKey']);
+  const options = {
+    createLabels: Boolean(flags['create-labels']),
+    concurrency: Number(flags.concurrency) || undefined,
+    checkDuplicates: !flags['no-duplicate-check'],
+    duplicateThreshold: flags['duplicate-threshold'] ? Number(flags['duplicate-threshold']) : undefined
+  };
   
-  const agent = new PlaneAgent();
+  const agent = new PlaneAgent(undefined, undefined, { concurrency: options.concurrency });
   
   switch (command) {
     case 'test':
       agent.testConnection();
       break;
       
+    case 'discover':
+      clearApiBase(agent.apiUrl);
+      agent.getApiBase().then(basePath => {
+        console.log(`📍 API base: ${agent.apiUrl}${basePath}`);
+      }).catch(console.error);
+      break;
+      
     case 'workspaces':
       agent.getWorkspaces().then(workspaces => {
         console.log('🏢 Workspaces:', workspaces);
@@ -273,12 +824,53 @@ if (require.main === module) {
       
     case 'issues':
       if (args.length < 2) {
-        console.error('Usage: node plane-agent.js issues <workspace-slug> <project-id>');
+        console.error('Usage: node plane-agent.js issues <workspace-slug> <project-id> [--state <id>] [--label <id>] [--assignee <id>] [--updated-since <date>]');
         process.exit(1);
       }
-      agent.getIssues(args[0], args[1]).then(issues => {
-        console.log(`🎫 Issues in ${args[0]}/${args[1]}:`, issues);
-      }).catch(console.error);
+      (async () => {
+        const filters = {
+          state: flags.state,
+          label: flags.label,
+          assignee: flags.assignee,
+          updatedSince: flags['updated-since']
+        };
+        
+        console.log(`🎫 Issues in ${args[0]}/${args[1]}:`);
+        let count = 0;
+        for await (const issue of agent.iterateIssues(args[0], args[1], filters)) {
+          count++;
+          console.log(`  #${issue.sequence_id ?? '?'} [${issue.priority || 'none'}] ${issue.name} (${issue.id})`);
+        }
+        console.log(`📊 ${count} issue(s)`);
+      })().catch(console.error);
+      break;
+      
+    case 'export':
+      if (args.length < 2) {
+        console.error(`Usage: node plane-agent.js export <workspace-slug> <project-id> [--format ${EXPORT_FORMATS.join('|')}] [--output <file>] [--no-comments] [issue filters]`);
+        process.exit(1);
+      }
+      (async () => {
+        const format = flags.format || 'md';
+        if (!EXPORT_FORMATS.includes(format)) {
+          throw new Error(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+        }
+        
+        const data = await buildExport(agent, args[0], args[1], {
+          comments: !flags['no-comments'],
+          filters: {
+            state: flags.state,
+            label: flags.label,
+            assignee: flags.assignee,
+            updatedSince: flags['updated-since']
+          }
+        });
+        const file = writeExport(data, format, flags.output);
+        console.log(`📝 Exported ${data.issues.length} issue(s) to ${file}`);
+      })().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      });
       break;
       
     case 'create':
@@ -286,18 +878,50 @@ if (require.main === module) {
         console.error('Usage: node plane-agent.js create <workspace-slug> <project-id> "<ticket description>"');
         process.exit(1);
       }
-      agent.createAITicket(args[0], args[1], args.slice(2).join(' ')).then(ticket => {
+      agent.createAITicket(args[0], args[1], args.slice(2).join(' '), options).then(ticket => {
         console.log('✅ Ticket created:', ticket);
       }).catch(console.error);
       break;
       
+    case 'import':
+      if (args.length < 3) {
+        console.error('Usage: node plane-agent.js import <workspace-slug> <project-id> <file> [--format csv|jsonl|md] [--map title=Col,...] [--dry-run] [--yes] [--report <file>]');
+        process.exit(1);
+      }
+      (async () => {
+        const [workspaceSlug, projectId, file] = args;
+        const rows = readTickets(file, { format: flags.format, map: flags.map });
+        const { valid, invalid } = validateRows(rows);
+        
+        console.log(`📥 ${file}: ${rows.length} row(s), ${valid.length} valid, ${invalid.length} invalid`);
+        printPreview(valid, invalid);
+        
+        if (flags['dry-run'] || valid.length === 0) return;
+        if (!flags.yes && !(await confirm(`Create ${valid.length} issue(s) in ${workspaceSlug}/${projectId}?`))) {
+          console.log('🚫 Import cancelled');
+          return;
+        }
+        
+        const results = await agent.createTicketsFromList(workspaceSlug, projectId, valid, options);
+        const reportFile = flags.report || `${file}.import-report.json`;
+        const report = writeReport(reportFile, file, invalid, valid.map((row, i) => ({ row, result: results[i] })));
+        
+        console.log(`\n📊 Import results: ✅ ${report.created} created, ❌ ${report.failed} failed, ⚠️  ${report.invalid} invalid`);
+        console.log(`📝 Report written to ${reportFile}`);
+        if (report.failed > 0) process.exitCode = 1;
+      })().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+      });
+      break;
+      
     case 'bulk':
       if (args.length < 3) {
         console.error('Usage: node plane-agent.js bulk <workspace-slug> <project-id> "<ticket1>" "<ticket2>" ...');
         process.exit(1);
       }
       const ticketList = args.slice(2);
-      agent.createTicketsFromList(args[0], args[1], ticketList).then(results => {
+      agent.createTicketsFromList(args[0], args[1], ticketList, options).then(results => {
         console.log(`\n📊 Bulk creation results:`);
         const successful = results.filter(r => r.success).length;
         console.log(`✅ Successful: ${successful}/${results.length}`);
@@ -311,24 +935,50 @@ if (require.main === module) {
 
 Usage:
   node plane-agent.js test                           # Test API connection
+  node plane-agent.js discover                       # Re-detect the API base path
   node plane-agent.js workspaces                     # List workspaces
   node plane-agent.js projects <workspace-slug>      # List projects
-  node plane-agent.js issues <workspace> <project>   # List issues
+  node plane-agent.js issues <workspace> <project>   # List issues (all pages)
   node plane-agent.js create <workspace> <project> "<description>"  # Create AI ticket
   node plane-agent.js bulk <workspace> <project> "<ticket1>" "<ticket2>"  # Bulk create
+  node plane-agent.js import <workspace> <project> <file>  # Import CSV, JSONL or Markdown
+  node plane-agent.js export <workspace> <project>   # Export issues with comments
+
+Options:
+  --create-labels    Create analysis labels that don't exist in the project yet
+  --format <fmt>    Import format: csv, jsonl or md (default: from file extension)
+                     Export format: csv, json or md (default: md)
+  --output <file>   Export: output file (default: <IDENTIFIER>-issues-<date>.<format>)
+  --no-comments     Export: skip fetching comments
+  --map <mapping>   CSV columns, e.g. title=Summary,description=Details,labels=Tags
+  --dry-run         Import: only show the preview
+  --yes             Import: don't ask for confirmation
+  --report <file>   Import: results report (default: <file>.import-report.json)
+  --concurrency <n> Parallel requests/tickets (default: $PLANE_CONCURRENCY or 4)
+  --no-duplicate-check       Don't look for similar existing issues before creating
+  --duplicate-threshold <n>  Similarity (0-1) reported as a possible duplicate
+                             (default: $DUPLICATE_THRESHOLD or 0.5)
+  --state <id>, --label <id>, --assignee <id>, --updated-since <date>
+                     Filter the issues and export commands
 
 Examples:
   node plane-agent.js test
   node plane-agent.js workspaces  
   node plane-agent.js create indigo project-123 "Fix authentication bug in login flow"
   node plane-agent.js bulk indigo proj "Add dark mode" "Fix mobile layout" "Update docs"
+  node plane-agent.js import indigo proj requests.jsonl --dry-run
+  node plane-agent.js import indigo proj backlog.csv --map title=Summary,labels=Tags --yes
+  node plane-agent.js export indigo proj --format csv --output backup.csv
 
 Features:
   🤖 AI-powered ticket analysis and categorization
   📊 Auto-priority assignment based on keywords
-  🏷️ Smart tag extraction from descriptions
+  🏷️ Smart tag extraction, mapped onto the project's labels
+  🗂️ States and priorities resolved to Plane IDs/values before creating
   💬 Automatic AI analysis comments
-  📋 Bulk ticket creation from lists
+  📋 Bulk ticket creation from lists and CSV/JSONL/Markdown files
+  🔁 Warns about likely duplicates before creating
+  📤 Export to CSV, JSON or a Markdown status report
       `);
   }
 }
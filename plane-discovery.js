@@ -0,0 +1,89 @@
+// Plane API base path discovery
+// Self-hosted Plane serves its API under different prefixes depending on the
+// version and proxy setup. Probe once, then remember the answer on disk so
+// later runs skip straight to the working prefix.
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError, errorFromResponse } = require('./plane-errors');
+const { config } = require('./config');
+
+const CANDIDATE_PATHS = ['/api/v1', '/api', '/api/public', ''];
+const CACHE_FILE = config.get('plane.discoveryCache');
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Endpoint every candidate is probed with
+const PROBE_ENDPOINT = '/workspaces/';
+
+function readCache() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  try {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2));
+  } catch (error) {
+    console.log(`⚠️  Could not write discovery cache: ${error.message}`);
+  }
+}
+
+// Forget the cached base path for a Plane URL (e.g. after an upgrade)
+function clearApiBase(apiUrl) {
+  const cache = readCache();
+  delete cache[apiUrl];
+  writeCache(cache);
+}
+
+// Find the API prefix that answers with JSON. Auth failures are fatal rather
+// than a reason to try the next prefix; so are server errors.
+async function discoverApiBase(apiUrl, headers) {
+  // An empty PLANE_API_BASE means the API is served at the root
+  const configured = config.get('plane.apiBase');
+  if (configured !== undefined) {
+    return configured;
+  }
+
+  const cache = readCache();
+  const cached = cache[apiUrl];
+  if (cached && Date.now() - cached.discoveredAt < CACHE_TTL_MS) {
+    return cached.basePath;
+  }
+
+  console.log(`🔍 Discovering Plane API base path at ${apiUrl}...`);
+
+  for (const basePath of CANDIDATE_PATHS) {
+    const url = `${apiUrl}${basePath}${PROBE_ENDPOINT}`;
+    const response = await fetch(url, { headers });
+
+    if (response.status === 404) continue;
+
+    if (!response.ok) {
+      throw await errorFromResponse(response, url);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('application/json')) {
+      continue; // Probably the web app answering, not the API
+    }
+
+    console.log(`✅ Plane API found at ${apiUrl}${basePath}`);
+    cache[apiUrl] = { basePath, discoveredAt: Date.now() };
+    writeCache(cache);
+    return basePath;
+  }
+
+  throw new NotFoundError(`No Plane API found at ${apiUrl} (tried ${CANDIDATE_PATHS.map(p => p || '/').join(', ')})`, {
+    status: 404,
+    url: apiUrl
+  });
+}
+
+module.exports = {
+  CANDIDATE_PATHS,
+  discoverApiBase,
+  clearApiBase
+};
@@ -0,0 +1,90 @@
+// Errors raised by the Plane clients
+
+class PlaneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+// Analysis values (state, label, priority) that can't be mapped onto the project
+class PlaneMappingError extends PlaneError {
+  constructor(message, { field, value, available = [] } = {}) {
+    super(available.length > 0 ? `${message} (available: ${available.join(', ')})` : message);
+    this.field = field;
+    this.value = value;
+    this.available = available;
+  }
+}
+
+// Any non-2xx (or non-JSON) response from the Plane API
+class PlaneApiError extends PlaneError {
+  constructor(message, { status, url, body } = {}) {
+    super(message);
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+// 401/403 - bad or missing API key; retrying won't help
+class AuthError extends PlaneApiError {}
+
+// 404 - endpoint or object doesn't exist
+class NotFoundError extends PlaneApiError {}
+
+// 429 - slow down; retryAfterMs comes from Retry-After when Plane sends it
+class RateLimitedError extends PlaneApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs;
+  }
+}
+
+// 5xx - Plane had a problem; usually worth retrying
+class ServerError extends PlaneApiError {}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Build the matching error for a failed response
+async function errorFromResponse(response, url) {
+  const body = await response.text();
+  const details = { status: response.status, url, body };
+  const message = `API error ${response.status}: ${body.substring(0, 200)}`;
+
+  if (response.status === 401 || response.status === 403) {
+    return new AuthError(`Plane rejected the API key (${response.status}) - check PLANE_API_KEY`, details);
+  }
+  if (response.status === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (response.status === 429) {
+    return new RateLimitedError(message, {
+      ...details,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+  if (response.status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new PlaneApiError(message, details);
+}
+
+module.exports = {
+  PlaneError,
+  PlaneMappingError,
+  PlaneApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitedError,
+  ServerError,
+  parseRetryAfter,
+  errorFromResponse
+};
@@ -1,15 +1,32 @@
 #!/usr/bin/env node
 
 // Simplified Plane ticket creator for current setup
-const PLANE_URL = process.env.PLANE_URL || 'https://plane-production.up.railway.app';
-const PLANE_API_KEY = process.env.PLANE_API_KEY || 'plane_api_9a3f1d487974422b8e59cd855d39c4df';
+const fs = require('fs');
+const path = require('path');
+const { PRIORITIES, analyzeTicket } = require('./ticket-analysis');
+const { AuthError, PlaneApiError, errorFromResponse } = require('./plane-errors');
+const PlaneAgent = require('./plane-agent');
+const { discoverApiBase } = require('./plane-discovery');
+const { readTickets, validateRows, printPreview } = require('./ticket-import');
+const { config, ConfigError } = require('./config');
+
+const PLANE_URL = config.get('plane.url');
+const PLANE_API_KEY = config.get('plane.apiKey');
+const DRAFTS_FILE = config.get('plane.draftsFile');
+
+// external_source of pushed drafts; the draft ID is the external_id
+const DRAFT_SOURCE = 'plane-ticket-creator';
+
+// Fields that `edit` may change
+const EDITABLE_FIELDS = ['title', 'description', 'priority', 'category', 'complexity', 'labels'];
 
 class PlaneTicketCreator {
-  constructor() {
+  constructor(draftsFile = DRAFTS_FILE) {
     this.apiUrl = PLANE_URL;
     this.apiKey = PLANE_API_KEY;
-    this.workspace = 'indigo'; // From invitation link we saw earlier
-    this.localDB = new Map(); // In-memory storage for now
+    this.workspace = config.get('plane.workspace');
+    this.draftsFile = draftsFile;
+    this.localDB = this.loadDrafts(); // Draft tickets by ID, persisted to draftsFile
     this.headers = {
       'Authorization': `Bearer ${this.apiKey}`,
       'X-API-Key': this.apiKey,
@@ -17,108 +34,266 @@ class PlaneTicketCreator {
     };
   }
 
-  // API request handler with fallback to local storage
+  // API request handler; the API prefix is discovered once per instance.
+  // Throws the typed errors from plane-errors.js.
   async apiRequest(endpoint, options = {}) {
-    const apiPaths = ['/api/v1', '/api', '/api/public'];
-    
-    for (const apiPath of apiPaths) {
-      const url = `${this.apiUrl}${apiPath}${endpoint}`;
-      
-      try {
-        const response = await fetch(url, {
-          headers: this.headers,
-          ...options
-        });
-
-        if (response.status === 404) continue;
-        
-        if (!response.ok) {
-          const text = await response.text();
-          throw new Error(`API error ${response.status}: ${text}`);
-        }
-
-        const contentType = response.headers.get('content-type');
-        if (contentType && contentType.includes('application/json')) {
-          return await response.json();
-        }
-      } catch (error) {
-        console.log(`❌ API attempt failed for ${apiPath}: ${error.message}`);
-        if (apiPath === apiPaths[apiPaths.length - 1]) {
-          console.log('⚠️  Falling back to local storage');
-          return null; // Fallback to local operations
-        }
-      }
+    if (!this.apiKey) throw new AuthError('PLANE_API_KEY is not set');
+    if (!this.apiBasePromise) {
+      this.apiBasePromise = discoverApiBase(this.apiUrl, this.headers).catch(error => {
+        this.apiBasePromise = null;
+        throw error;
+      });
     }
-  }
 
-  // AI-powered ticket analysis
-  analyzeTicket(description) {
-    const lowerDesc = description.toLowerCase();
-    
-    let category = 'Task';
-    let priority = 'Medium';
-    let labels = [];
+    const url = `${this.apiUrl}${await this.apiBasePromise}${endpoint}`;
+    const response = await fetch(url, {
+      headers: this.headers,
+      ...options
+    });
 
-    // Categorization
-    if (lowerDesc.includes('bug') || lowerDesc.includes('error') || lowerDesc.includes('fix')) {
-      category = 'Bug';
-      priority = 'High';
-    } else if (lowerDesc.includes('feature') || lowerDesc.includes('add') || lowerDesc.includes('implement')) {
-      category = 'Feature';
-      priority = 'Medium';
-    } else if (lowerDesc.includes('improve') || lowerDesc.includes('optimize')) {
-      category = 'Enhancement';
-      priority = 'Low';
+    if (!response.ok) {
+      throw await errorFromResponse(response, url);
     }
 
-    // Priority adjustment
-    if (lowerDesc.includes('urgent') || lowerDesc.includes('critical')) {
-      priority = 'Urgent';
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      return await response.json();
     }
+    return null;
+  }
 
-    // Tag extraction
-    const techTags = ['api', 'database', 'frontend', 'backend', 'ui', 'security', 'performance'];
-    labels = techTags.filter(tag => lowerDesc.includes(tag));
+  // Load drafts from the local JSON store
+  loadDrafts() {
+    if (!fs.existsSync(this.draftsFile)) return new Map();
+    const { drafts = [] } = JSON.parse(fs.readFileSync(this.draftsFile, 'utf8'));
+    return new Map(drafts.map(draft => [draft.id, draft]));
+  }
+
+  // Write drafts back atomically, so an interrupted push never loses state
+  saveDrafts() {
+    fs.mkdirSync(path.dirname(this.draftsFile), { recursive: true });
+    const tmpFile = `${this.draftsFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ drafts: [...this.localDB.values()] }, null, 2));
+    fs.renameSync(tmpFile, this.draftsFile);
+  }
 
-    // Complexity estimation
-    const wordCount = description.split(' ').length;
-    let complexity = wordCount > 50 ? 'High' : wordCount > 20 ? 'Medium' : 'Low';
+  nextDraftId() {
+    const numbers = [...this.localDB.keys()].map(id => Number(id.replace(/^local-/, ''))).filter(Number.isInteger);
+    return `local-${Math.max(0, ...numbers) + 1}`;
+  }
 
+  getDraft(id) {
+    const draft = this.localDB.get(id) || this.localDB.get(`local-${id}`);
+    if (!draft) {
+      throw new Error(`Draft ${id} not found (see: node plane-ticket-creator.js list)`);
+    }
+    return draft;
+  }
+
+  // AI-powered ticket analysis
+  analyzeTicket(description) {
+    const { scores, ...analysis } = analyzeTicket({ description });
     return {
-      title: description.split('.')[0].trim().substring(0, 80),
-      description: description,
-      category,
-      priority,
-      complexity,
-      labels,
+      ...analysis,
       workspace: this.workspace
     };
   }
 
-  // Generate local ticket data (for now, since API needs troubleshooting)
-  createLocalTicket(prompt) {
-    const analysis = this.analyzeTicket(prompt);
+  // Generate a local draft ticket; push it to Plane later. The prompt is a
+  // description, or an imported row whose explicit fields win over the analysis.
+  createLocalTicket(prompt, { print = true } = {}) {
+    const input = typeof prompt === 'string' ? { description: prompt } : prompt;
+    const analysis = this.analyzeTicket(input.description || input.title);
     const ticket = {
-      id: `local-${Date.now()}`,
+      id: this.nextDraftId(),
       created: new Date().toISOString(),
       ...analysis,
+      ...(input.title && { title: input.title }),
+      ...(input.priority && { priority: input.priority }),
+      ...(input.labels && input.labels.length > 0 && { labels: input.labels }),
       status: 'Draft',
       aiGenerated: true
     };
 
-    console.log('🎯 AI-Generated Ticket:');
+    this.localDB.set(ticket.id, ticket);
+    this.saveDrafts();
+
+    if (print) {
+      console.log('🎯 AI-Generated Ticket:');
+      this.printTicket(ticket);
+    }
+
+    return ticket;
+  }
+
+  // Create drafts from a CSV, JSONL or Markdown file (see ticket-import.js)
+  importDrafts(file, options = {}) {
+    const rows = readTickets(file, options);
+    const { valid, invalid } = validateRows(rows);
+
+    console.log(`📥 ${file}: ${rows.length} row(s), ${valid.length} valid, ${invalid.length} invalid`);
+    printPreview(valid, invalid);
+
+    const tickets = valid.map(row => this.createLocalTicket(row, { print: false }));
+    if (tickets.length > 0) {
+      console.log(`✅ Created drafts ${tickets[0].id}..${tickets[tickets.length - 1].id} - review with list/show, then push`);
+    }
+    return tickets;
+  }
+
+  // Print a draft's details
+  printTicket(ticket) {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log(`🆔 Draft: ${ticket.id} (${ticket.status})`);
     console.log(`📝 Title: ${ticket.title}`);
-    console.log(`📂 Category: ${ticket.category}`);
+    console.log(`📂 Category: ${ticket.categoryName}`);
     console.log(`⚡ Priority: ${ticket.priority}`);
     console.log(`🧩 Complexity: ${ticket.complexity}`);
     console.log(`🏷️  Labels: ${ticket.labels.join(', ') || 'none'}`);
-    console.log(`🏢 Workspace: ${ticket.workspace}`);
+    console.log(`🏢 Workspace: ${ticket.workspace || '(not set)'}`);
     console.log(`📅 Created: ${ticket.created}`);
+    if (ticket.updated) console.log(`✏️  Updated: ${ticket.updated}`);
+    if (ticket.remoteId) console.log(`🔗 Plane issue: ${ticket.remoteId} (project ${ticket.remoteProject})`);
+    if (ticket.lastError) console.log(`❌ Last push error: ${ticket.lastError}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`📄 Description:\n${ticket.description}\n`);
+  }
 
-    return ticket;
+  // List all drafts
+  listDrafts() {
+    const drafts = [...this.localDB.values()];
+    if (drafts.length === 0) {
+      console.log('📭 No drafts yet. Create one with: node plane-ticket-creator.js create "<description>"');
+      return drafts;
+    }
+
+    console.log(`📋 ${drafts.length} draft(s) in ${this.draftsFile}:\n`);
+    drafts.forEach(d => {
+      const remote = d.remoteId ? ` → ${d.remoteId}` : '';
+      console.log(`  ${d.id.padEnd(10)} ${d.status.padEnd(7)} ${d.priority.padEnd(7)} ${d.categoryName.padEnd(12)} ${d.title}${remote}`);
+    });
+    return drafts;
+  }
+
+  // Show one draft
+  showDraft(id) {
+    const draft = this.getDraft(id);
+    this.printTicket(draft);
+    return draft;
+  }
+
+  // Change fields on a draft that hasn't been pushed yet
+  editDraft(id, changes) {
+    const draft = this.getDraft(id);
+    if (draft.remoteId) {
+      throw new Error(`Draft ${draft.id} was already pushed as ${draft.remoteId}; edit it in Plane`);
+    }
+
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot edit ${unknown.join(', ')} (editable: ${EDITABLE_FIELDS.join(', ')})`);
+    }
+    if (changes.priority !== undefined && !PRIORITIES.includes(changes.priority)) {
+      throw new Error(`Priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+
+    Object.assign(draft, changes, { updated: new Date().toISOString() });
+    this.saveDrafts();
+
+    console.log(`✏️  Updated ${draft.id}:`);
+    this.printTicket(draft);
+    return draft;
+  }
+
+  // Plane client for label lookups, created on first use
+  getPlaneAgent() {
+    if (!this.planeAgent) this.planeAgent = new PlaneAgent(this.apiUrl, this.apiKey);
+    return this.planeAgent;
+  }
+
+  // A 409 means an earlier push created the issue but the draft wasn't saved
+  // afterwards. Plane's reply carries the existing issue's ID; older versions
+  // don't, so look it up by the draft's external ID instead.
+  async findPushedIssue(workspace, projectId, draft, conflict) {
+    try {
+      const { id } = JSON.parse(conflict.body);
+      if (id) return { id };
+    } catch (parseError) {
+      // Fall back to the lookup
+    }
+    return await this.getPlaneAgent().findIssueByExternalId(workspace, projectId, DRAFT_SOURCE, draft.id);
+  }
+
+  // Create unpushed drafts as Plane issues. Each draft records its remote ID
+  // as soon as it is created, so an interrupted push can simply be re-run.
+  // Draft labels are matched by name; missing ones are created.
+  async pushDrafts(projectId, ids = [], workspace = this.workspace) {
+    if (!workspace) {
+      throw new ConfigError('No Plane workspace - set PLANE_WORKSPACE_SLUG, plane.workspace in the config file, or pass --workspace');
+    }
+    const selected = ids.length > 0 ? ids.map(id => this.getDraft(id)) : [...this.localDB.values()];
+    const pending = selected.filter(draft => !draft.remoteId);
+
+    console.log(`🚀 Pushing ${pending.length} draft(s) to ${workspace}/${projectId}`);
+    if (selected.length > pending.length) {
+      console.log(`⏭️  Skipping ${selected.length - pending.length} already pushed`);
+    }
+
+    const results = [];
+    for (const draft of pending) {
+      let issue;
+      try {
+        const labels = await this.getPlaneAgent().resolveLabelIds(workspace, projectId, draft.labels || [], { createMissing: true });
+        issue = await this.apiRequest(`/workspaces/${workspace}/projects/${projectId}/issues/`, {
+          method: 'POST',
+          body: JSON.stringify({
+            name: draft.title,
+            description_html: `<p>${draft.description}</p>`,
+            priority: draft.priority,
+            labels,
+            // Lets Plane reject a second issue for the same draft
+            external_source: DRAFT_SOURCE,
+            external_id: draft.id
+          })
+        });
+      } catch (error) {
+        // No point trying the remaining drafts with a bad key
+        if (error instanceof AuthError) throw error;
+
+        if (error instanceof PlaneApiError && error.status === 409) {
+          issue = await this.findPushedIssue(workspace, projectId, draft, error).catch(lookupError => {
+            draft.lastError = `Already in Plane, but its issue could not be found: ${lookupError.message}`;
+            return null;
+          });
+          if (issue) console.log(`🔁 ${draft.id} was already pushed, recovering its issue ID`);
+        } else {
+          draft.lastError = error.message;
+        }
+      }
+
+      if (issue && issue.id) {
+        Object.assign(draft, {
+          status: 'Pushed',
+          remoteId: issue.id,
+          remoteProject: projectId,
+          remoteWorkspace: workspace,
+          pushedAt: new Date().toISOString(),
+          lastError: undefined
+        });
+        console.log(`✅ ${draft.id} → ${issue.id}: ${draft.title}`);
+        results.push({ success: true, draft });
+      } else {
+        draft.lastError = draft.lastError || 'Plane API returned no issue';
+        console.log(`❌ ${draft.id} not pushed: ${draft.title} (${draft.lastError})`);
+        results.push({ success: false, draft });
+      }
+
+      this.saveDrafts();
+    }
+
+    const pushed = results.filter(r => r.success).length;
+    console.log(`\n📊 Pushed ${pushed}/${results.length}${pushed < results.length ? ' - re-run push to retry the rest' : ''}`);
+    return results;
   }
 
   // Bulk ticket creation from list
@@ -137,7 +312,7 @@ class PlaneTicketCreator {
     console.log(`✅ Generated: ${tickets.length} tickets`);
     
     const categories = tickets.reduce((acc, t) => {
-      acc[t.category] = (acc[t.category] || 0) + 1;
+      acc[t.categoryName] = (acc[t.categoryName] || 0) + 1;
       return acc;
     }, {});
     
@@ -164,52 +339,134 @@ class PlaneTicketCreator {
 🤖 Plane Ticket Creator - AI-powered ticket analysis
 
 Usage:
-  node plane-ticket-creator.js create "<description>"     # Create single ticket
-  node plane-ticket-creator.js bulk "<ticket1>" "<ticket2>"...  # Create multiple
+  node plane-ticket-creator.js create "<description>"     # Create single draft
+  node plane-ticket-creator.js bulk "<ticket1>" "<ticket2>"...  # Create multiple drafts
+  node plane-ticket-creator.js import <file> [--map title=Col,...]  # Drafts from CSV/JSONL/Markdown
+  node plane-ticket-creator.js list                      # List drafts
+  node plane-ticket-creator.js show <draft-id>           # Show a draft
+  node plane-ticket-creator.js edit <draft-id> --<field> <value>  # Edit a draft
+  node plane-ticket-creator.js push <project-id> [draft-id...] [--workspace <slug>]  # Create drafts in Plane
   node plane-ticket-creator.js help                      # Show this help
 
 Examples:
   node plane-ticket-creator.js create "Fix authentication bug in login flow"
   node plane-ticket-creator.js bulk "Add dark mode to UI" "Fix mobile layout issues" "Update API documentation"
+  node plane-ticket-creator.js edit local-2 --priority high --labels ui,frontend
+  node plane-ticket-creator.js push project-123 local-1 local-2
 
 Features:
-  🧠 AI categorization (Bug, Feature, Task, Enhancement)
+  🧠 AI categorization (Bug, Feature, Improvement, Task)
   ⚡ Smart priority assignment based on keywords
   🏷️  Automatic tag extraction
   🧩 Complexity estimation
   📊 Bulk creation with analysis summary
 
-Note: Currently generating local ticket data while API connectivity is being resolved.
-Once API is working, tickets can be pushed directly to Plane workspace.
+Drafts are stored in ${this.draftsFile} (override with PLANE_DRAFTS_FILE).
+Pushing is resumable: drafts already created in Plane are skipped. Labels are
+matched by name in the project; missing ones are created.
+Editable fields: ${EDITABLE_FIELDS.join(', ')}
     `);
   }
 }
 
+// Split CLI args into positionals and --flag value pairs
+function parseFlags(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, flags };
+}
+
 // CLI interface
 if (require.main === module) {
   const [,, command, ...args] = process.argv;
+  // Drafts work offline, so only invalid settings stop the CLI here
+  if (command) config.ensure();
   const creator = new PlaneTicketCreator();
 
-  switch (command) {
-    case 'create':
-      if (!args[0]) {
-        console.error('❌ Usage: node plane-ticket-creator.js create "<description>"');
-        process.exit(1);
+  const fail = error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  };
+
+  try {
+    switch (command) {
+      case 'create':
+        if (!args[0]) {
+          console.error('❌ Usage: node plane-ticket-creator.js create "<description>"');
+          process.exit(1);
+        }
+        creator.createLocalTicket(args.join(' '));
+        break;
+
+      case 'bulk':
+        if (args.length === 0) {
+          console.error('❌ Usage: node plane-ticket-creator.js bulk "<ticket1>" "<ticket2>" ...');
+          process.exit(1);
+        }
+        creator.createBulkTickets(args);
+        break;
+
+      case 'import': {
+        const { positional, flags } = parseFlags(args);
+        if (!positional[0]) {
+          console.error('❌ Usage: node plane-ticket-creator.js import <file> [--format csv|jsonl|md] [--map title=Col,...]');
+          process.exit(1);
+        }
+        creator.importDrafts(positional[0], { format: flags.format, map: flags.map });
+        break;
+      }
+
+      case 'list':
+        creator.listDrafts();
+        break;
+
+      case 'show':
+        if (!args[0]) {
+          console.error('❌ Usage: node plane-ticket-creator.js show <draft-id>');
+          process.exit(1);
+        }
+        creator.showDraft(args[0]);
+        break;
+
+      case 'edit': {
+        const { positional, flags } = parseFlags(args);
+        if (!positional[0] || Object.keys(flags).length === 0) {
+          console.error('❌ Usage: node plane-ticket-creator.js edit <draft-id> --<field> <value> ...');
+          process.exit(1);
+        }
+        if (flags.labels !== undefined) {
+          flags.labels = flags.labels.split(',').map(label => label.trim()).filter(Boolean);
+        }
+        creator.editDraft(positional[0], flags);
+        break;
       }
-      creator.createLocalTicket(args.join(' '));
-      break;
 
-    case 'bulk':
-      if (args.length === 0) {
-        console.error('❌ Usage: node plane-ticket-creator.js bulk "<ticket1>" "<ticket2>" ...');
-        process.exit(1);
+      case 'push': {
+        const { positional, flags } = parseFlags(args);
+        if (!positional[0]) {
+          console.error('❌ Usage: node plane-ticket-creator.js push <project-id> [draft-id...] [--workspace <slug>]');
+          process.exit(1);
+        }
+        creator.pushDrafts(positional[0], positional.slice(1), flags.workspace).then(results => {
+          if (results.some(r => !r.success)) process.exitCode = 1;
+        }).catch(fail);
+        break;
       }
-      creator.createBulkTickets(args);
-      break;
 
-    case 'help':
-    default:
-      creator.showUsage();
+      case 'help':
+      default:
+        creator.showUsage();
+    }
+  } catch (error) {
+    fail(error);
   }
 }
 
@@ -1,19 +1,79 @@
 #!/usr/bin/env node
 
 // Railway API Agent for automated ticket/deployment management
-const RAILWAY_API_URL = 'https://backboard.railway.com/graphql/v2';
-const RAILWAY_TOKEN = process.env.RAILWAY_TOKEN || process.env.RAILWAY_API_KEY;
+const fs = require('fs');
+const PlaneAgent = require('./plane-agent');
+const { escapeHtml } = require('./html');
+const { NAME_PATTERN, parseEnvFile, formatEnvFile, maskValue, diffVariables, printChanges } = require('./env-file');
+const { VaultwardenClient, loadSecretsMap } = require('./vaultwarden-secrets');
+const { config, ConfigError } = require('./config');
+
+const RAILWAY_API_URL = config.get('railway.apiUrl');
+const RAILWAY_TOKEN = config.get('railway.token');
+
+// Where deployment tickets are filed as Plane issues
+const PLANE_WORKSPACE_SLUG = config.get('plane.workspace');
+const PLANE_DEPLOYMENTS_PROJECT = config.get('plane.deploymentsProject');
+
+// Deployment statuses that won't change any more
+const FINAL_STATUSES = ['SUCCESS', 'FAILED', 'CRASHED', 'REMOVED', 'SKIPPED'];
+const FAILED_STATUSES = ['FAILED', 'CRASHED'];
+
+// How long executeTicket waits for a deployment to finish
+const DEPLOY_TIMEOUT_MS = config.get('railway.deployTimeoutMs');
+const POLL_INTERVAL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const TICKET_ACTIONS = ['deploy', 'redeploy', 'rollback', 'restart', 'stop', 'status'];
+
+// Actions that are confirmed on the terminal unless --yes is given
+const CONFIRM_ACTIONS = ['rollback', 'restart', 'stop'];
+
+// Deployment to roll back to: the newest one before the active deployment
+// (of the same environment) that was live itself. Railway marks replaced
+// deployments REMOVED, but also builds that were superseded before they went
+// live; only the former have canRollback set.
+function findRollbackTarget(deployments) {
+  const activeIndex = deployments.findIndex(d => d.status === 'SUCCESS');
+  return deployments
+    .slice(activeIndex + 1)
+    .find(d => (d.status === 'SUCCESS' || d.status === 'REMOVED') && d.canRollback);
+}
+
+// Plane states for each ticket stage, first existing one wins (names or groups)
+const TICKET_STATES = {
+  pending: ['Todo', 'unstarted'],
+  running: ['In Progress', 'started'],
+  completed: ['Done', 'completed'],
+  failed: ['Failed', 'Blocked', 'cancelled'],
+  cancelled: ['Cancelled', 'cancelled']
+};
+
+// external_source of deployment ticket issues, with the deployment ID as
+// external_id (see linkPlaneIssue)
+const DEPLOYMENT_SOURCE = 'railway-deployment';
 
 class RailwayAgent {
-  constructor(token = RAILWAY_TOKEN) {
+  // Options: planeAgent, planeWorkspace, planeProject - file deployment
+  // tickets as issues in this Plane project (default: $PLANE_WORKSPACE_SLUG
+  // and $PLANE_DEPLOYMENTS_PROJECT; tickets stay local when unset)
+  constructor(token = RAILWAY_TOKEN, options = {}) {
     this.token = token;
     this.headers = {
       'Authorization': `Bearer ${token}`,
       'Content-Type': 'application/json'
     };
+
+    const workspaceSlug = options.planeWorkspace || PLANE_WORKSPACE_SLUG;
+    const projectId = options.planeProject || PLANE_DEPLOYMENTS_PROJECT;
+    this.plane = workspaceSlug && projectId
+      ? { agent: options.planeAgent || new PlaneAgent(), workspaceSlug, projectId }
+      : null;
   }
 
   async query(graphqlQuery, variables = {}) {
+    if (!this.token) throw new ConfigError('RAILWAY_TOKEN is not set');
     const response = await fetch(RAILWAY_API_URL, {
       method: 'POST',
       headers: this.headers,
@@ -83,23 +143,22 @@ class RailwayAgent {
     return data.project.services.edges.map(edge => edge.node);
   }
 
-  // Get deployments for a service
-  async getServiceDeployments(serviceId) {
+  // Get deployments for a service, newest first; with an environment ID only
+  // that environment's
+  async getServiceDeployments(serviceId, environmentId) {
     const query = `
-      query GetService($serviceId: String!) {
-        service(id: $serviceId) {
-          id
-          name
-          deployments {
-            edges {
-              node {
-                id
-                status
-                createdAt
-                meta {
-                  commitSha
-                  commitMessage
-                }
+      query GetDeployments($input: DeploymentListInput!) {
+        deployments(input: $input, first: 50) {
+          edges {
+            node {
+              id
+              status
+              createdAt
+              environmentId
+              canRollback
+              meta {
+                commitSha
+                commitMessage
               }
             }
           }
@@ -107,61 +166,218 @@ class RailwayAgent {
       }
     `;
 
-    const data = await this.query(query, { serviceId });
-    return data.service.deployments.edges.map(edge => edge.node);
+    const data = await this.query(query, { input: { serviceId, environmentId } });
+    return data.deployments.edges.map(edge => edge.node);
   }
 
-  // Trigger deployment (redeploy latest)
-  async triggerDeployment(serviceId) {
-    const mutation = `
-      mutation ServiceRedeploy($serviceId: String!) {
-        serviceRedeploy(serviceId: $serviceId) {
+  // Get a single deployment
+  async getDeployment(deploymentId) {
+    const query = `
+      query GetDeployment($deploymentId: String!) {
+        deployment(id: $deploymentId) {
           id
           status
+          createdAt
+          meta {
+            commitSha
+            commitMessage
+          }
         }
       }
     `;
 
-    const data = await this.query(mutation, { serviceId });
-    return data.serviceRedeploy;
+    const data = await this.query(query, { deploymentId });
+    return data.deployment;
   }
 
-  // Get environment variables
-  async getVariables(serviceId, environmentId) {
+  // Get build or runtime logs of a deployment, oldest first
+  // (kind: 'buildLogs' or 'deploymentLogs')
+  async getLogs(kind, deploymentId, startDate) {
     const query = `
-      query Variables($serviceId: String!, $environmentId: String!) {
-        variables(serviceId: $serviceId, environmentId: $environmentId) {
-          edges {
-            node {
-              id
-              name
-              value
-            }
-          }
+      query Logs($deploymentId: String!, $startDate: DateTime, $limit: Int) {
+        ${kind}(deploymentId: $deploymentId, startDate: $startDate, limit: $limit) {
+          timestamp
+          message
+          severity
+        }
+      }
+    `;
+
+    const data = await this.query(query, { deploymentId, startDate, limit: 500 });
+    return data[kind] || [];
+  }
+
+  // Poll a deployment until it reaches a final status, printing new build and
+  // deploy log lines as they appear. Returns the deployment, with timedOut set
+  // when it was still running after timeoutMs.
+  // Options: timeoutMs, intervalMs, logs (false to only poll the status)
+  async waitForDeployment(deploymentId, options = {}) {
+    const { timeoutMs = DEPLOY_TIMEOUT_MS, intervalMs = POLL_INTERVAL_MS, logs = true } = options;
+    const deadline = Date.now() + timeoutMs;
+    const streams = {
+      buildLogs: { label: 'build', since: undefined, seen: new Set() },
+      deploymentLogs: { label: 'deploy', since: undefined, seen: new Set() }
+    };
+    let lastStatus;
+
+    console.log(`⏳ Waiting for deployment ${deploymentId} (timeout ${Math.round(timeoutMs / 1000)}s)...`);
+
+    while (true) {
+      const deployment = await this.getDeployment(deploymentId);
+
+      if (deployment.status !== lastStatus) {
+        console.log(`📦 Deployment status: ${deployment.status}`);
+        lastStatus = deployment.status;
+      }
+
+      if (logs) {
+        for (const [kind, stream] of Object.entries(streams)) {
+          await this.printNewLogs(kind, deploymentId, stream).catch(error => {
+            console.log(`⚠️  Could not fetch ${stream.label} logs: ${error.message}`);
+          });
         }
       }
+
+      if (FINAL_STATUSES.includes(deployment.status)) {
+        return deployment;
+      }
+      if (Date.now() >= deadline) {
+        console.log(`⏰ Deployment still ${deployment.status} after ${Math.round(timeoutMs / 1000)}s`);
+        return { ...deployment, timedOut: true };
+      }
+
+      await sleep(intervalMs);
+    }
+  }
+
+  // Print log lines newer than the last ones printed for this stream. Lines
+  // sharing the newest timestamp are remembered so they aren't printed twice.
+  async printNewLogs(kind, deploymentId, stream) {
+    const lines = await this.getLogs(kind, deploymentId, stream.since);
+
+    for (const line of lines) {
+      const key = `${line.timestamp} ${line.message}`;
+      if (stream.seen.has(key)) continue;
+
+      if (line.timestamp !== stream.since) {
+        stream.since = line.timestamp;
+        stream.seen.clear();
+      }
+      stream.seen.add(key);
+
+      const print = line.severity === 'error' ? console.error : console.log;
+      print(`  [${stream.label}] ${line.message}`);
+    }
+  }
+
+  // Trigger deployment (redeploy the latest one in an environment)
+  async triggerDeployment(serviceId, environmentId) {
+    const mutation = `
+      mutation ServiceInstanceRedeploy($serviceId: String!, $environmentId: String!) {
+        serviceInstanceRedeploy(serviceId: $serviceId, environmentId: $environmentId)
+      }
+    `;
+
+    const data = await this.query(mutation, { serviceId, environmentId });
+    return data.serviceInstanceRedeploy;
+  }
+
+  // Deploy a specific commit; returns the new deployment's ID
+  async deployCommit(serviceId, environmentId, commitSha) {
+    const mutation = `
+      mutation ServiceInstanceDeploy($serviceId: String!, $environmentId: String!, $commitSha: String) {
+        serviceInstanceDeployV2(serviceId: $serviceId, environmentId: $environmentId, commitSha: $commitSha)
+      }
+    `;
+
+    const data = await this.query(mutation, { serviceId, environmentId, commitSha });
+    return data.serviceInstanceDeployV2;
+  }
+
+  // Redeploy an earlier deployment's build
+  async rollbackDeployment(deploymentId) {
+    const mutation = `
+      mutation DeploymentRollback($deploymentId: String!) {
+        deploymentRollback(id: $deploymentId)
+      }
+    `;
+
+    const data = await this.query(mutation, { deploymentId });
+    return data.deploymentRollback;
+  }
+
+  // Restart a deployment's containers without rebuilding
+  async restartDeployment(deploymentId) {
+    const mutation = `
+      mutation DeploymentRestart($deploymentId: String!) {
+        deploymentRestart(id: $deploymentId)
+      }
+    `;
+
+    const data = await this.query(mutation, { deploymentId });
+    return data.deploymentRestart;
+  }
+
+  // Stop a running deployment
+  async stopDeployment(deploymentId) {
+    const mutation = `
+      mutation DeploymentStop($deploymentId: String!) {
+        deploymentStop(id: $deploymentId)
+      }
+    `;
+
+    const data = await this.query(mutation, { deploymentId });
+    return data.deploymentStop;
+  }
+
+  // IDs of a service's current deployments in an environment, taken before a
+  // redeploy or rollback so findNewDeployment can tell the new one apart
+  async deploymentIds(serviceId, environmentId) {
+    const deployments = await this.getServiceDeployments(serviceId, environmentId);
+    return new Set(deployments.map(d => d.id));
+  }
+
+  // Newest deployment of a service in an environment that isn't one of the
+  // known IDs; redeploys and rollbacks don't return the deployment they
+  // start, so poll for it. IDs rather than createdAt, which would be
+  // compared against this machine's clock.
+  async findNewDeployment(serviceId, environmentId, knownIds, attempts = 10) {
+    for (let i = 0; i < attempts; i++) {
+      const deployments = await this.getServiceDeployments(serviceId, environmentId);
+      const created = deployments.find(d => !knownIds.has(d.id));
+      if (created) return created;
+      await sleep(2000);
+    }
+    throw new Error('Deployment started but did not show up');
+  }
+
+  // Service variables in an environment as a { NAME: value } object.
+  // Unrendered, so references like ${{Postgres.DATABASE_URL}} stay references
+  // and survive an export/import round trip.
+  async getVariables(projectId, environmentId, serviceId) {
+    const query = `
+      query Variables($projectId: String!, $environmentId: String!, $serviceId: String) {
+        variables(projectId: $projectId, environmentId: $environmentId, serviceId: $serviceId, unrendered: true)
+      }
     `;
 
-    const data = await this.query(query, { serviceId, environmentId });
-    return data.variables.edges.map(edge => edge.node);
+    const data = await this.query(query, { projectId, environmentId, serviceId });
+    return data.variables || {};
   }
 
-  // Create environment variable
-  async setVariable(serviceId, environmentId, name, value) {
+  // Create or update environment variable
+  async setVariable(projectId, environmentId, serviceId, name, value) {
     const mutation = `
       mutation VariableUpsert($input: VariableUpsertInput!) {
-        variableUpsert(input: $input) {
-          id
-          name
-          value
-        }
+        variableUpsert(input: $input)
       }
     `;
 
     const data = await this.query(mutation, {
       input: {
-        serviceId,
+        projectId,
         environmentId,
+        serviceId,
         name,
         value
       }
@@ -170,42 +386,155 @@ class RailwayAgent {
     return data.variableUpsert;
   }
 
-  // Agent actions for ticket creation/management
-  async createDeploymentTicket(projectName, serviceName, action = 'deploy') {
-    console.log(`🎫 Creating ${action} ticket for ${serviceName} in ${projectName}`);
-    
-    try {
-      // Get project info
-      const projects = await this.getProjects();
-      const project = projects.find(p => p.name.toLowerCase().includes(projectName.toLowerCase()));
-      
-      if (!project) {
-        throw new Error(`Project ${projectName} not found`);
+  // Delete environment variable
+  async deleteVariable(projectId, environmentId, serviceId, name) {
+    const mutation = `
+      mutation VariableDelete($input: VariableDeleteInput!) {
+        variableDelete(input: $input)
       }
+    `;
 
-      // Get services
-      const services = await this.getProjectServices(project.id);
-      const service = services.find(s => s.name.toLowerCase().includes(serviceName.toLowerCase()));
-      
-      if (!service) {
-        throw new Error(`Service ${serviceName} not found in project ${projectName}`);
+    const data = await this.query(mutation, {
+      input: {
+        projectId,
+        environmentId,
+        serviceId,
+        name
+      }
+    });
+
+    return data.variableDelete;
+  }
+
+  // Apply changes from env-file.js diffVariables(); returns how many were made
+  async applyVariableChanges(projectId, environmentId, serviceId, changes) {
+    let applied = 0;
+    for (const { name, change, to } of changes) {
+      if (change === 'add' || change === 'update') {
+        await this.setVariable(projectId, environmentId, serviceId, name, to);
+      } else if (change === 'remove') {
+        await this.deleteVariable(projectId, environmentId, serviceId, name);
+      } else {
+        continue;
+      }
+      console.log(`  ✅ ${change} ${name}`);
+      applied++;
+    }
+    return applied;
+  }
+
+  // Get project environments
+  async getEnvironments(projectId) {
+    const query = `
+      query GetEnvironments($projectId: String!) {
+        project(id: $projectId) {
+          environments {
+            edges {
+              node {
+                id
+                name
+              }
+            }
+          }
+        }
       }
+    `;
+
+    const data = await this.query(query, { projectId });
+    return data.project.environments.edges.map(edge => edge.node);
+  }
+
+  // Find a project and one of its services by (partial) name
+  async findService(projectName, serviceName) {
+    const projects = await this.getProjects();
+    const project = projects.find(p => p.name.toLowerCase().includes(projectName.toLowerCase()));
+    
+    if (!project) {
+      throw new Error(`Project ${projectName} not found`);
+    }
 
-      // Get recent deployments
-      const deployments = await this.getServiceDeployments(service.id);
+    const services = await this.getProjectServices(project.id);
+    const service = services.find(s => s.name.toLowerCase().includes(serviceName.toLowerCase()));
+    
+    if (!service) {
+      throw new Error(`Service ${serviceName} not found in project ${projectName}`);
+    }
+
+    return { project, service };
+  }
+
+  // Find an environment by exact name (e.g. "production", "staging")
+  async findEnvironment(projectId, environmentName) {
+    const environments = await this.getEnvironments(projectId);
+    const environment = environments.find(e => e.name.toLowerCase() === environmentName.toLowerCase());
+
+    if (!environment) {
+      throw new Error(`Environment ${environmentName} not found (available: ${environments.map(e => e.name).join(', ')})`);
+    }
+    return environment;
+  }
+
+  // Agent actions for ticket creation/management
+  // Actions: deploy/redeploy, rollback, restart, stop, status. Options:
+  // commitSha - deploy that commit instead of redeploying the latest
+  // environment - environment name (default production)
+  // planeIssue - false to not file the ticket as a Plane issue (status
+  // tickets never are: they change nothing worth tracking)
+  async createDeploymentTicket(projectName, serviceName, action = 'deploy', options = {}) {
+    if (!TICKET_ACTIONS.includes(action)) {
+      throw new Error(`Unknown action: ${action} (expected ${TICKET_ACTIONS.join(', ')})`);
+    }
+    
+    const environmentName = options.environment || 'production';
+    console.log(`🎫 Creating ${action} ticket for ${serviceName} in ${projectName} (${environmentName})`);
+    
+    try {
+      // Get project, service and environment info
+      const { project, service } = await this.findService(projectName, serviceName);
+      const environment = await this.findEnvironment(project.id, environmentName);
+
+      // Get recent deployments in that environment
+      const deployments = await this.getServiceDeployments(service.id, environment.id);
       
       const ticket = {
         id: `ticket-${Date.now()}`,
         project: project.name,
         service: service.name,
+        environment: environment.name,
         action,
         status: 'pending',
         serviceId: service.id,
         projectId: project.id,
+        environmentId: environment.id,
         recentDeployments: deployments.slice(0, 3),
         createdAt: new Date().toISOString()
       };
 
+      // Work out what the action will touch now, so it can be confirmed
+      if (options.commitSha) {
+        if (!['deploy', 'redeploy'].includes(action)) {
+          throw new Error(`A commit can only be given for deploy, not ${action}`);
+        }
+        ticket.commitSha = options.commitSha;
+      } else if (action === 'rollback') {
+        const target = findRollbackTarget(deployments);
+        if (!target) throw new Error(`No earlier successful deployment of ${service.name} in ${environment.name} to roll back to`);
+        ticket.targetDeploymentId = target.id;
+        ticket.targetCommitSha = target.meta?.commitSha;
+      } else if (action === 'restart' || action === 'stop') {
+        const active = deployments.find(d => d.status === 'SUCCESS');
+        if (!active) throw new Error(`${service.name} has no running deployment in ${environment.name} to ${action}`);
+        ticket.targetDeploymentId = active.id;
+        ticket.targetCommitSha = active.meta?.commitSha;
+      }
+
+      if (this.plane && action !== 'status' && options.planeIssue !== false) {
+        const issue = await this.createPlaneIssue(ticket);
+        ticket.planeIssueId = issue.id;
+        ticket.planeIssueUrl = this.plane.agent.issueUrl(this.plane.workspaceSlug, this.plane.projectId, issue.id);
+        ticket.id = issue.sequence_id !== undefined ? `#${issue.sequence_id}` : issue.id;
+      }
+
       console.log('✅ Ticket created:', JSON.stringify(ticket, null, 2));
       return ticket;
 
@@ -215,21 +544,143 @@ class RailwayAgent {
     }
   }
 
+  // File a deployment ticket as a Plane issue
+  async createPlaneIssue(ticket) {
+    const { agent, workspaceSlug, projectId } = this.plane;
+    const recent = ticket.recentDeployments.map(d =>
+      `<li>${d.status} ${d.meta?.commitSha ? d.meta.commitSha.substring(0, 7) : ''} ${d.createdAt}</li>`
+    ).join('');
+
+    const fields = await agent.resolveIssueFields(workspaceSlug, projectId, {
+      priority: 'medium',
+      labels: ['deployment']
+    }, { createLabels: true });
+
+    const issue = await agent.createIssue(workspaceSlug, projectId, {
+      name: `${ticket.action} ${ticket.service} (${ticket.project}, ${ticket.environment})`,
+      description_html: `<p>Railway ${ticket.action} of <strong>${ticket.service}</strong> in <strong>${ticket.project}</strong> (${ticket.environment}), requested ${ticket.createdAt}.</p>`
+        + (ticket.commitSha ? `<p>Commit: <code>${ticket.commitSha}</code></p>` : '')
+        + (ticket.targetDeploymentId ? `<p>Target deployment: ${ticket.targetDeploymentId} (${ticket.targetCommitSha || 'unknown commit'})</p>` : '')
+        + (recent ? `<p>Recent deployments:</p><ul>${recent}</ul>` : ''),
+      ...fields
+    });
+
+    await this.updatePlaneIssue({ ...ticket, planeIssueId: issue.id }, 'pending');
+    return issue;
+  }
+
+  // Move the ticket's Plane issue to a stage and comment on it. Plane
+  // problems are logged, never thrown: the deployment itself already happened.
+  async updatePlaneIssue(ticket, stage, comment) {
+    if (!this.plane || !ticket.planeIssueId) return;
+    const { agent, workspaceSlug, projectId } = this.plane;
+
+    try {
+      await agent.transitionIssue(workspaceSlug, projectId, ticket.planeIssueId, TICKET_STATES[stage]);
+      if (comment) {
+        await agent.addComment(workspaceSlug, projectId, ticket.planeIssueId, PlaneAgent.withMarker(escapeHtml(comment), `railway-${stage}`));
+      }
+    } catch (error) {
+      console.error(`⚠️  Could not update Plane issue ${ticket.id}: ${error.message}`);
+    }
+  }
+
+  // Link the ticket's Plane issue to the deployment it follows, so Railway
+  // deployment webhooks can report on it (see webhook-handler/handlers/railway.js)
+  async linkPlaneIssue(ticket, deploymentId) {
+    if (!this.plane || !ticket.planeIssueId || !deploymentId) return;
+    const { agent, workspaceSlug, projectId } = this.plane;
+
+    try {
+      await agent.updateIssue(workspaceSlug, projectId, ticket.planeIssueId, {
+        external_source: DEPLOYMENT_SOURCE,
+        external_id: deploymentId
+      });
+    } catch (error) {
+      console.error(`⚠️  Could not link Plane issue ${ticket.id} to deployment ${deploymentId}: ${error.message}`);
+    }
+  }
+
+  // The deployment ticket issue linked to a deployment, or null
+  static findTicketIssue(planeAgent, workspaceSlug, projectId, deploymentId) {
+    return planeAgent.findIssueByExternalId(workspaceSlug, projectId, DEPLOYMENT_SOURCE, deploymentId);
+  }
+
+  // Plane state candidates for a ticket stage (see TICKET_STATES)
+  static ticketStates(stage) {
+    return TICKET_STATES[stage];
+  }
+
+  // Human-readable description of what a ticket will do, for confirmation
+  describeTicket(ticket) {
+    const commit = sha => (sha ? sha.substring(0, 7) : 'unknown commit');
+    const target = `${ticket.service} (${ticket.project}, ${ticket.environment})`;
+    switch (ticket.action) {
+      case 'rollback':
+        return `Roll back ${target} to deployment ${ticket.targetDeploymentId} (${commit(ticket.targetCommitSha)})`;
+      case 'restart':
+      case 'stop':
+        return `${ticket.action === 'stop' ? 'Stop' : 'Restart'} ${target} deployment ${ticket.targetDeploymentId} (${commit(ticket.targetCommitSha)})`;
+      case 'status':
+        return `Show the status of ${target}`;
+      default:
+        return ticket.commitSha
+          ? `Deploy commit ${commit(ticket.commitSha)} of ${target}`
+          : `Redeploy ${target}`;
+    }
+  }
+
   // Execute ticket (perform the actual action)
-  async executeTicket(ticket) {
+  // Options: wait (default true) - follow a deploy or rollback until it
+  // finishes, with timeoutMs and logs as for waitForDeployment. Without
+  // waiting, its status is 'triggered' and its Plane issue stays in progress
+  // until a Railway deployment webhook reports the outcome.
+  async executeTicket(ticket, options = {}) {
     console.log(`🚀 Executing ticket: ${ticket.action} for ${ticket.service}`);
+    await this.updatePlaneIssue(ticket, 'running');
     
     try {
       switch (ticket.action) {
         case 'deploy':
         case 'redeploy':
-          const deployment = await this.triggerDeployment(ticket.serviceId);
-          console.log('✅ Deployment triggered:', deployment);
-          return { ...ticket, status: 'completed', deploymentId: deployment.id };
+          if (ticket.commitSha) {
+            const deploymentId = await this.deployCommit(ticket.serviceId, ticket.environmentId, ticket.commitSha);
+            console.log(`✅ Deployment of ${ticket.commitSha} triggered: ${deploymentId}`);
+            return await this.followDeployment(ticket, { id: deploymentId }, options);
+          }
+          
+          const beforeRedeploy = await this.deploymentIds(ticket.serviceId, ticket.environmentId);
+          await this.triggerDeployment(ticket.serviceId, ticket.environmentId);
+          const deployment = await this.findNewDeployment(ticket.serviceId, ticket.environmentId, beforeRedeploy);
+          console.log('✅ Deployment triggered:', deployment.id);
+          return await this.followDeployment(ticket, deployment, options);
+          
+        case 'rollback':
+          const beforeRollback = await this.deploymentIds(ticket.serviceId, ticket.environmentId);
+          await this.rollbackDeployment(ticket.targetDeploymentId);
+          console.log(`⏪ Rollback to ${ticket.targetDeploymentId} triggered`);
+          return await this.followDeployment(ticket, await this.findNewDeployment(ticket.serviceId, ticket.environmentId, beforeRollback), options);
+          
+        case 'restart':
+        case 'stop':
+          if (ticket.action === 'restart') {
+            await this.restartDeployment(ticket.targetDeploymentId);
+          } else {
+            await this.stopDeployment(ticket.targetDeploymentId);
+          }
+          console.log(`✅ Deployment ${ticket.targetDeploymentId} ${ticket.action === 'stop' ? 'stopped' : 'restarted'}`);
+          await this.updatePlaneIssue(ticket, 'completed', `✅ **Railway ${ticket.action} done**
+
+**Deployment:** ${ticket.targetDeploymentId}
+**Commit:** ${ticket.targetCommitSha || 'unknown'}`);
+          return { ...ticket, status: 'completed', deploymentId: ticket.targetDeploymentId };
           
         case 'status':
-          const deployments = await this.getServiceDeployments(ticket.serviceId);
+          const deployments = await this.getServiceDeployments(ticket.serviceId, ticket.environmentId);
           console.log('📊 Service status:', deployments[0]);
+          await this.updatePlaneIssue(ticket, 'completed', deployments[0]
+            ? `📊 **Latest deployment:** ${deployments[0].id} - ${deployments[0].status} (${deployments[0].meta?.commitSha || 'unknown commit'})`
+            : '📊 No deployments yet');
           return { ...ticket, status: 'completed', latestDeployment: deployments[0] };
           
         default:
@@ -237,14 +688,247 @@ class RailwayAgent {
       }
     } catch (error) {
       console.error('❌ Error executing ticket:', error.message);
+      await this.updatePlaneIssue(ticket, 'failed', `❌ **Railway ${ticket.action} failed**
+
+${error.message}`);
       return { ...ticket, status: 'failed', error: error.message };
     }
   }
+
+  // Wait for a triggered deployment (unless options.wait is false), then
+  // report its outcome on the ticket's Plane issue
+  async followDeployment(ticket, deployment, options = {}) {
+    const { wait = true } = options;
+    await this.linkPlaneIssue(ticket, deployment.id);
+    
+    // The deploy mutations don't return the commit; look it up
+    const details = wait
+      ? await this.waitForDeployment(deployment.id, options)
+      : await this.getDeployment(deployment.id).catch(() => deployment);
+    const result = {
+      ...ticket,
+      status: !wait ? 'triggered'
+        : details.timedOut ? 'timeout'
+        : FAILED_STATUSES.includes(details.status) ? 'failed'
+        : 'completed',
+      deploymentId: deployment.id,
+      deploymentStatus: details.status || deployment.status,
+      commitSha: details.meta?.commitSha || ticket.commitSha
+    };
+    if (result.status === 'failed') result.error = `Deployment ${result.deploymentStatus}`;
+    if (result.status === 'timeout') result.error = `Deployment still ${result.deploymentStatus} when we stopped waiting`;
+    
+    const summary = `**Deployment:** ${result.deploymentId}
+**Commit:** ${result.commitSha || 'unknown'}
+**Status:** ${result.deploymentStatus || 'unknown'}`;
+    
+    if (result.status === 'triggered') {
+      await this.updatePlaneIssue(result, 'running', `🚀 **Railway ${ticket.action} triggered**\n\n${summary}`);
+    } else if (result.status === 'completed') {
+      await this.updatePlaneIssue(result, 'completed', `✅ **Railway ${ticket.action} succeeded**\n\n${summary}`);
+    } else {
+      console.error(`❌ ${result.error}`);
+      await this.updatePlaneIssue(result, 'failed', `❌ **Railway ${ticket.action} ${result.status === 'timeout' ? 'timed out' : 'failed'}**\n\n${summary}`);
+    }
+    return result;
+  }
+}
+
+// Ask a yes/no question on the terminal
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    console.log(`${question} - not a terminal, pass --yes to confirm`);
+    return false;
+  }
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Flags that don't take a value
+const BOOLEAN_FLAGS = ['yes', 'no-wait', 'no-issue', 'dry-run', 'show', 'prune'];
+
+// Split CLI args into positionals and --flag [value] options
+function parseArgs(rawArgs) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < rawArgs.length; i++) {
+    const arg = rawArgs[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+    } else if (BOOLEAN_FLAGS.includes(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = rawArgs[++i];
+    }
+  }
+  return { args, flags };
+}
+
+const VARS_USAGE = `Usage:
+  node railway-agent.js vars <project> <service> [--env <name>] [--show]
+  node railway-agent.js vars set <project> <service> KEY=VALUE ... [--env <name>] [--dry-run] [--yes]
+  node railway-agent.js vars unset <project> <service> KEY ... [--env <name>] [--dry-run] [--yes]
+  node railway-agent.js vars diff <project> <service> <env-a> <env-b> [--show]
+  node railway-agent.js vars export <project> <service> [--env <name>] [--output <file>]
+  node railway-agent.js vars import <project> <service> <file> [--env <name>] [--prune] [--dry-run] [--yes]`;
+
+// Show planned variable changes, then apply them unless it's a dry run or
+// the user says no
+async function applyChanges(agent, target, changes, flags) {
+  printChanges(changes, { show: flags.show });
+  if (!changes.some(c => c.change !== 'same') || flags['dry-run']) return;
+
+  if (!flags.yes && !(await confirm(`Apply these changes to ${target.service.name} (${target.environment.name})?`))) {
+    console.log('🚫 Cancelled');
+    return;
+  }
+
+  const applied = await agent.applyVariableChanges(target.project.id, target.environment.id, target.service.id, changes);
+  console.log(`✅ ${applied} variable(s) updated - Railway redeploys the service to pick them up`);
+}
+
+// vars <project> <service> and its subcommands
+async function runVarsCommand(agent, args, flags) {
+  const subcommands = ['set', 'unset', 'diff', 'export', 'import'];
+  const subcommand = subcommands.includes(args[0]) ? args.shift() : 'list';
+  const [projectName, serviceName, ...rest] = args;
+
+  if (!projectName || !serviceName) {
+    console.error(VARS_USAGE);
+    process.exit(1);
+  }
+
+  const { project, service } = await agent.findService(projectName, serviceName);
+  const load = async environmentName => {
+    const environment = await agent.findEnvironment(project.id, environmentName);
+    return { environment, vars: await agent.getVariables(project.id, environment.id, service.id) };
+  };
+
+  if (subcommand === 'diff') {
+    if (rest.length < 2) {
+      console.error(VARS_USAGE);
+      process.exit(1);
+    }
+    const [a, b] = await Promise.all(rest.slice(0, 2).map(load));
+    console.log(`🔍 ${service.name}: ${a.environment.name} → ${b.environment.name}`);
+    printChanges(diffVariables(a.vars, b.vars, { prune: true }), {
+      show: flags.show,
+      labels: [a.environment.name, b.environment.name]
+    });
+    return;
+  }
+
+  const { environment, vars } = await load(flags.env || 'production');
+  const target = { project, service, environment };
+
+  switch (subcommand) {
+    case 'list':
+      console.log(`🔧 ${Object.keys(vars).length} variable(s) in ${service.name} (${environment.name}):`);
+      Object.keys(vars).sort().forEach(name => {
+        console.log(`  ${name.padEnd(30)} ${flags.show ? vars[name] : maskValue(vars[name])}`);
+      });
+      if (!flags.show) console.log('\n🙈 Values masked - pass --show to reveal them');
+      break;
+
+    case 'set': {
+      const updates = Object.fromEntries(rest.map(pair => {
+        const index = pair.indexOf('=');
+        const name = pair.slice(0, index);
+        if (index < 1 || !NAME_PATTERN.test(name)) throw new Error(`Expected KEY=VALUE, got "${pair}"`);
+        return [name, pair.slice(index + 1)];
+      }));
+      if (Object.keys(updates).length === 0) throw new Error('Nothing to set');
+      await applyChanges(agent, target, diffVariables(vars, { ...vars, ...updates }), flags);
+      break;
+    }
+
+    case 'unset': {
+      if (rest.length === 0) throw new Error('Nothing to unset');
+      const missing = rest.filter(name => vars[name] === undefined);
+      if (missing.length > 0) console.log(`⚠️  Not set: ${missing.join(', ')}`);
+      const remaining = Object.fromEntries(Object.entries(vars).filter(([name]) => !rest.includes(name)));
+      await applyChanges(agent, target, diffVariables(vars, remaining, { prune: true }), flags);
+      break;
+    }
+
+    case 'export': {
+      const file = flags.output || `${service.name}.${environment.name}.env`;
+      fs.writeFileSync(file, formatEnvFile(vars), { mode: 0o600 });
+      console.log(`📝 Wrote ${Object.keys(vars).length} variable(s) to ${file} - it contains secrets, don't commit it`);
+      break;
+    }
+
+    case 'import': {
+      if (!rest[0]) throw new Error('Missing .env file');
+      const desired = parseEnvFile(fs.readFileSync(rest[0], 'utf8'));
+      console.log(`📥 ${rest[0]}: ${Object.keys(desired).length} variable(s)${flags.prune ? ', removing variables not in the file' : ''}`);
+      await applyChanges(agent, target, diffVariables(vars, desired, { prune: flags.prune }), flags);
+      break;
+    }
+  }
+}
+
+// secrets sync [map-file]: push vault secrets into Railway variables.
+// Only drift is reported - secret values are never printed.
+async function runSecretsCommand(agent, args, flags) {
+  const [subcommand, mapFile] = args;
+  if (subcommand !== 'sync') {
+    console.error('Usage: node railway-agent.js secrets sync [map-file] [--env <name>] [--service <name>] [--dry-run] [--yes]');
+    process.exit(1);
+  }
+
+  const map = loadSecretsMap(mapFile);
+  const environmentName = flags.env || map.environment || 'production';
+  const services = Object.keys(map.services).filter(name => !flags.service || name === flags.service);
+  if (services.length === 0) throw new Error(`Service ${flags.service} is not in the secrets map`);
+
+  const vault = new VaultwardenClient();
+  console.log(`🔐 Reading secrets from ${vault.url || 'Vaultwarden'}...`);
+  await vault.getItems();
+
+  let drifted = 0;
+  let unresolved = 0;
+  for (const serviceName of services) {
+    const desired = {};
+    for (const [name, reference] of Object.entries(map.services[serviceName])) {
+      try {
+        desired[name] = await vault.getSecret(reference);
+      } catch (error) {
+        console.error(`❌ ${serviceName}: ${name} - ${error.message}`);
+        unresolved++;
+      }
+    }
+
+    const { project, service } = await agent.findService(map.project, serviceName);
+    const environment = await agent.findEnvironment(project.id, environmentName);
+    const current = await agent.getVariables(project.id, environment.id, service.id);
+    const changes = diffVariables(current, desired).filter(c => desired[c.name] !== undefined);
+    const count = changes.filter(c => c.change !== 'same').length;
+    drifted += count;
+
+    console.log(`\n🔍 ${service.name} (${environment.name}): ${count === 0 ? 'in sync' : `${count} of ${changes.length} variable(s) drifted`}`);
+    if (count > 0) await applyChanges(agent, { project, service, environment }, changes, { ...flags, show: false });
+  }
+
+  if (unresolved > 0) {
+    throw new Error(`${unresolved} secret(s) could not be read from the vault`);
+  }
+  if (flags['dry-run'] && drifted > 0) process.exitCode = 1;
 }
 
 // CLI usage
 if (require.main === module) {
-  const [,, command, ...args] = process.argv;
+  const [,, command, ...rawArgs] = process.argv;
+  const { args, flags } = parseArgs(rawArgs);
+  if (command) config.ensure(['railway.token']);
+  
+  // --no-wait / --timeout <seconds> for deployments
+  const waitOptions = {
+    wait: !flags['no-wait'],
+    timeoutMs: flags.timeout ? Number(flags.timeout) * 1000 : undefined
+  };
   
   const agent = new RailwayAgent();
   
@@ -275,13 +959,79 @@ if (require.main === module) {
       
     case 'ticket':
       if (args.length < 3) {
-        console.error('Usage: node railway-agent.js ticket <project> <service> <action>');
+        console.error('Usage: node railway-agent.js ticket <project> <service> <action> [commit-sha] [--env <name>] [--yes] [--no-wait] [--no-issue] [--timeout <seconds>]');
         process.exit(1);
       }
-      agent.createDeploymentTicket(args[0], args[1], args[2]).then(ticket => {
-        return agent.executeTicket(ticket);
-      }).then(result => {
+      (async () => {
+        const [projectName, serviceName, action, commitSha] = args;
+        const ticket = await agent.createDeploymentTicket(projectName, serviceName, action, {
+          commitSha,
+          environment: flags.env,
+          planeIssue: !flags['no-issue']
+        });
+        
+        if ((CONFIRM_ACTIONS.includes(action) || ticket.commitSha) && !flags.yes
+          && !(await confirm(`${agent.describeTicket(ticket)}?`))) {
+          console.log('🚫 Cancelled');
+          await agent.updatePlaneIssue(ticket, 'cancelled', '🚫 Cancelled before running');
+          return;
+        }
+        
+        const result = await agent.executeTicket(ticket, waitOptions);
         console.log('🎯 Final result:', result.status);
+        if (result.planeIssueUrl) console.log(`🎫 Plane issue: ${result.planeIssueUrl}`);
+        if (!['completed', 'triggered'].includes(result.status)) process.exitCode = 1;
+      })().catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+      });
+      break;
+      
+    case 'logs':
+      if (!args[0]) {
+        console.error('Usage: node railway-agent.js logs <deployment-id> [--timeout <seconds>]');
+        process.exit(1);
+      }
+      agent.waitForDeployment(args[0], waitOptions).then(deployment => {
+        console.log(`🎯 Deployment ${deployment.id}: ${deployment.status}${deployment.timedOut ? ' (still running)' : ''}`);
+        if (deployment.timedOut || FAILED_STATUSES.includes(deployment.status)) process.exitCode = 1;
+      }).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+      });
+      break;
+      
+    case 'envs':
+      if (!args[0]) {
+        console.error('Usage: node railway-agent.js envs <project-name>');
+        process.exit(1);
+      }
+      agent.getProjects().then(async projects => {
+        const project = projects.find(p => p.name.toLowerCase().includes(args[0].toLowerCase()));
+        if (!project) {
+          console.error(`Project ${args[0]} not found`);
+          process.exit(1);
+        }
+        const environments = await agent.getEnvironments(project.id);
+        console.log(`🌍 Environments in ${project.name}:`);
+        environments.forEach(e => console.log(`  - ${e.name} (${e.id})`));
+      }).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+      });
+      break;
+      
+    case 'vars':
+      runVarsCommand(agent, args, flags).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
+      });
+      break;
+      
+    case 'secrets':
+      runSecretsCommand(agent, args, flags).catch(error => {
+        console.error('❌', error.message);
+        process.exit(1);
       });
       break;
       
@@ -293,11 +1043,58 @@ Usage:
   node railway-agent.js projects                    # List all projects
   node railway-agent.js services <project-name>     # List project services  
   node railway-agent.js ticket <project> <service> <action>  # Create & execute ticket
+  node railway-agent.js logs <deployment-id>        # Stream logs until the deployment finishes
+  node railway-agent.js envs <project-name>         # List environments
+  node railway-agent.js vars <project> <service>    # List variables (masked; --show reveals)
+  node railway-agent.js vars set|unset|diff|export|import ...  # Manage variables (see below)
+  node railway-agent.js secrets sync [map-file]     # Push Vaultwarden secrets into service variables
+
+Actions:
+  deploy | redeploy   Redeploy the latest build
+  deploy <commit-sha> Deploy a specific commit
+  rollback            Redeploy the last deployment before the active one that went live
+  restart             Restart the active deployment without rebuilding
+  stop                Stop the active deployment
+  status              Show the latest deployment
+
+Tickets act on the production environment; pass --env <name> for another.
+rollback, restart, stop and deploy <commit-sha> ask for confirmation first;
+pass --yes to skip the prompt in scripts.
+
+Variables (--env defaults to production):
+  vars set <project> <service> KEY=VALUE ...        Add or change variables
+  vars unset <project> <service> KEY ...            Remove variables
+  vars diff <project> <service> <env-a> <env-b>     Compare two environments
+  vars export <project> <service> [--output <file>] Write a .env file
+  vars import <project> <service> <file> [--prune]  Apply a .env file (--prune removes the rest)
+set, unset and import print the changes first; --dry-run stops there and
+--yes applies them without asking.
+
+Secrets: secrets.json (or $SECRETS_MAP_FILE) maps variables to vault items,
+e.g. "PLANE_API_KEY": "Plane API#password". Items are decrypted locally using
+VAULTWARDEN_URL, VAULTWARDEN_EMAIL and VAULTWARDEN_PASSWORD (plus
+VAULTWARDEN_CLIENT_ID/VAULTWARDEN_CLIENT_SECRET with two-step login). Only
+drift is shown, never values; --dry-run exits 1 when anything drifted.
+
+Deploy tickets wait for the deployment to finish (SUCCESS, FAILED or CRASHED)
+and stream its build and deploy logs. --no-wait returns once it's triggered;
+--timeout <seconds> overrides $RAILWAY_DEPLOY_TIMEOUT_MS (default 15 minutes).
+
+Tickets are filed as Plane issues when PLANE_WORKSPACE_SLUG and
+PLANE_DEPLOYMENTS_PROJECT are set; their state follows the deployment
+(Todo → In Progress → Done, or Failed/Blocked with the error). status
+tickets are never filed; pass --no-issue to skip the issue for others.
 
 Examples:
   node railway-agent.js projects
   node railway-agent.js services indigo-services
   node railway-agent.js ticket indigo-services webhook-handler deploy
+  node railway-agent.js ticket indigo-services webhook-handler deploy 3f2a9c1 --yes
+  node railway-agent.js ticket indigo-services webhook-handler rollback
+  node railway-agent.js ticket indigo-services webhook-handler restart --env staging
+  node railway-agent.js vars diff indigo-services webhook-handler staging production
+  node railway-agent.js vars import indigo-services webhook-handler .env.staging --env staging --dry-run
+  node railway-agent.js secrets sync --service webhook-handler --dry-run
       `);
   }
 }
@@ -0,0 +1,124 @@
+// Shared request scheduler for API clients
+// Limits how many requests run at once, pauses every request when the server
+// says we're rate limited, and retries transient failures with jittered
+// exponential backoff.
+const { RateLimitedError, ServerError } = require('./plane-errors');
+
+const DEFAULTS = {
+  concurrency: 4,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Gateway errors mean the request never reached the app, so even a POST is
+// safe to send again; other 5xx are only retried for idempotent methods
+const GATEWAY_STATUSES = [502, 503, 504];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS };
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) this.options[key] = value;
+    });
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  get concurrency() {
+    return this.options.concurrency;
+  }
+
+  // Full jitter: random delay up to base * 2^attempt, capped
+  backoff(attempt) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+  }
+
+  // Hold every request until the given time
+  pauseFor(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  // Look at rate-limit headers on any response and pause before we hit the limit
+  observe(headers) {
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = headers.get('x-ratelimit-reset');
+
+    if (remaining !== null && Number(remaining) <= 0 && reset) {
+      // Reset is either epoch seconds or seconds from now
+      const resetSeconds = Number(reset);
+      const waitMs = resetSeconds > 1e9 ? resetSeconds * 1000 - Date.now() : resetSeconds * 1000;
+      if (waitMs > 0) {
+        console.log(`⏳ Rate limit reached, pausing requests for ${Math.ceil(waitMs / 1000)}s`);
+        this.pauseFor(waitMs);
+      }
+    }
+  }
+
+  isRetryable(error, method) {
+    if (error instanceof RateLimitedError) return true;
+    if (error instanceof ServerError) {
+      return method !== 'POST' || GATEWAY_STATUSES.includes(error.status);
+    }
+    // fetch() network failures (connection reset, DNS...) - only when idempotent
+    return error instanceof TypeError && method !== 'POST';
+  }
+
+  async acquire() {
+    if (this.active < this.options.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next(); // Hand the slot straight to the next request
+    } else {
+      this.active--;
+    }
+  }
+
+  // Run fn (which performs one HTTP request) under the concurrency limit,
+  // retrying it when it fails transiently
+  async schedule(fn, { method = 'GET' } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+
+      let result;
+      let failure;
+      try {
+        const wait = this.pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+        result = await fn();
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.release();
+      }
+
+      if (!failure) return result;
+
+      if (attempt >= this.options.maxRetries || !this.isRetryable(failure, method)) {
+        throw failure;
+      }
+
+      let delay = this.backoff(attempt);
+      if (failure instanceof RateLimitedError) {
+        delay = failure.retryAfterMs !== undefined ? failure.retryAfterMs : Math.max(delay, 1000);
+        this.pauseFor(delay);
+      }
+
+      console.log(`🔁 ${failure.message.split('\n')[0]} - retry ${attempt + 1}/${this.options.maxRetries} in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = RequestScheduler;
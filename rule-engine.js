@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+// Declarative rules for webhook events
+// A rules file lists "when <event> matches <conditions>, then <actions>" rules.
+// It is loaded at startup, reloaded whenever it changes, and can be dry-run
+// against a sample payload from the CLI.
+const fs = require('fs');
+const PlaneAgent = require('./plane-agent');
+const { normalizePriority } = require('./ticket-analysis');
+const { config } = require('./config');
+const { escapeHtml } = require('./html');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_RULES_FILE = config.get('webhook.rulesFile');
+
+// Condition operators: { "<field>": { "<operator>": <expected> } }
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  not: (actual, expected) => actual !== expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === Boolean(expected),
+  contains: (actual, expected) => {
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+  },
+  matches: (actual, expected) => typeof actual === 'string' && new RegExp(expected, 'i').test(actual)
+};
+
+const ACTIONS = ['set_priority', 'add_label', 'assign', 'comment', 'railway_redeploy'];
+
+// Read a dotted path ("state.name") from an object
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+// Replace {{field}} placeholders with values from the payload. With html set
+// the values are escaped (the template itself is the rule author's own text).
+function renderTemplate(text, data, { html = false } = {}) {
+  return String(text).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, field) => {
+    const value = getField(data, field);
+    if (value == null) return '';
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+// Does an event type match "issue.created", "issue.*" or a list of those?
+function eventMatches(pattern, eventType) {
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  return patterns.some(p => p === '*' || p === eventType
+    || (p.endsWith('.*') && eventType.startsWith(p.slice(0, -1))));
+}
+
+// Validate a parsed rules file, returning a list of problems
+function validateRules(ruleConfig) {
+  const problems = [];
+  const rules = ruleConfig && ruleConfig.rules;
+
+  if (!Array.isArray(rules)) {
+    return ['Rules file must contain a "rules" array'];
+  }
+
+  rules.forEach((rule, index) => {
+    const label = rule.name || `#${index + 1}`;
+
+    if (!rule.name) problems.push(`Rule ${label}: missing "name"`);
+    if (!rule.when || !rule.when.event) problems.push(`Rule ${label}: missing "when.event"`);
+    if (!Array.isArray(rule.then) || rule.then.length === 0) {
+      problems.push(`Rule ${label}: "then" must be a non-empty array of actions`);
+    }
+
+    Object.entries((rule.when && rule.when.match) || {}).forEach(([field, condition]) => {
+      if (condition === null || typeof condition !== 'object') return; // Plain value means equals
+      Object.keys(condition).forEach(operator => {
+        if (!OPERATORS[operator]) problems.push(`Rule ${label}: unknown operator "${operator}" on ${field}`);
+      });
+      if (condition.matches !== undefined) {
+        try {
+          new RegExp(condition.matches);
+        } catch (error) {
+          problems.push(`Rule ${label}: invalid regex on ${field}: ${error.message}`);
+        }
+      }
+    });
+
+    (rule.then || []).forEach(action => {
+      if (!ACTIONS.includes(action.action)) {
+        problems.push(`Rule ${label}: unknown action "${action.action}" (expected one of ${ACTIONS.join(', ')})`);
+      }
+      if (action.action === 'set_priority' && !normalizePriority(action.priority)) {
+        problems.push(`Rule ${label}: unknown priority "${action.priority}"`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+class RuleEngine {
+  constructor(options = {}) {
+    this.rulesFile = options.rulesFile || DEFAULT_RULES_FILE;
+    this.planeAgent = options.planeAgent;
+    this.railwayAgent = options.railwayAgent;
+    this.resolveContext = options.resolveContext;
+    this.dryRun = options.dryRun || false;
+    this.rules = [];
+  }
+
+  // Load (or reload) rules; an invalid file keeps the previous rules
+  load() {
+    if (!fs.existsSync(this.rulesFile)) {
+      console.log(`📏 No rules file at ${this.rulesFile} - rule engine idle`);
+      this.rules = [];
+      return this.rules;
+    }
+
+    try {
+      const ruleConfig = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+      const problems = validateRules(ruleConfig);
+      if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+      }
+
+      this.rules = ruleConfig.rules.filter(rule => rule.enabled !== false);
+      console.log(`📏 Loaded ${this.rules.length} rule(s) from ${this.rulesFile}`);
+    } catch (error) {
+      console.error(`❌ Invalid rules file, keeping previous rules: ${error.message}`);
+    }
+
+    return this.rules;
+  }
+
+  // Reload whenever the rules file changes on disk
+  watch(intervalMs = 2000) {
+    fs.watchFile(this.rulesFile, { interval: intervalMs }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        console.log('🔄 Rules file changed, reloading...');
+        this.load();
+      }
+    });
+  }
+
+  unwatch() {
+    fs.unwatchFile(this.rulesFile);
+  }
+
+  // Rules that fire for an event
+  match(eventType, data) {
+    return this.rules.filter(rule => {
+      if (!eventMatches(rule.when.event, eventType)) return false;
+
+      return Object.entries(rule.when.match || {}).every(([field, condition]) => {
+        const actual = getField(data, field);
+        if (condition === null || typeof condition !== 'object') {
+          return OPERATORS.equals(actual, condition);
+        }
+        return Object.entries(condition).every(([operator, expected]) =>
+          OPERATORS[operator](actual, expected)
+        );
+      });
+    });
+  }
+
+  // Run every matching rule; returns what was (or would be) done
+  // Options: dryRun, isDone/markDone (see EventQueue.contextFor) - actions
+  // that succeeded in an earlier attempt at the same event are not run again
+  async run(eventType, data, options = {}) {
+    const dryRun = options.dryRun !== undefined ? options.dryRun : this.dryRun;
+    const results = [];
+
+    for (const rule of this.match(eventType, data)) {
+      console.log(`📏 Rule fired: ${rule.name}${dryRun ? ' (dry run)' : ''}`);
+
+      for (const [index, action] of rule.then.entries()) {
+        const planned = this.describe(action, data);
+        const step = `rule:${rule.name}:${index}`;
+
+        if (dryRun) {
+          results.push({ rule: rule.name, ...planned, status: 'dry-run' });
+          continue;
+        }
+
+        if (options.isDone && options.isDone(step)) {
+          results.push({ rule: rule.name, ...planned, status: 'done-earlier' });
+          continue;
+        }
+
+        const outcome = await this.execute(rule, action, data);
+        if (outcome.status !== 'failed' && options.markDone) options.markDone(step);
+        results.push({ rule: rule.name, ...planned, ...outcome });
+      }
+    }
+
+    return results;
+  }
+
+  // Human-readable summary of an action with templates filled in
+  describe(action, data) {
+    switch (action.action) {
+      case 'set_priority':
+        return { action: action.action, detail: `priority → ${action.priority}` };
+      case 'add_label':
+        return { action: action.action, detail: `label + ${action.label}` };
+      case 'assign':
+        return { action: action.action, detail: `assignee + ${action.assignee}` };
+      case 'comment':
+        return { action: action.action, detail: renderTemplate(action.text, data) };
+      case 'railway_redeploy':
+        return { action: action.action, detail: `redeploy ${action.service} in ${action.project} (${action.environment || 'production'})` };
+      default:
+        return { action: action.action, detail: '' };
+    }
+  }
+
+  // Perform one action; actions that would not change anything are skipped so
+  // rules never trigger themselves through the resulting issue.updated event
+  async execute(rule, action, data) {
+    try {
+      if (action.action === 'railway_redeploy') {
+        if (!this.railwayAgent) throw new Error('Railway agent not configured');
+        // Don't hold up the event queue for the whole deploy. A rule can fire
+        // often, so it only files a Plane deployment issue when asked to.
+        const ticket = await this.railwayAgent.createDeploymentTicket(action.project, action.service, 'redeploy', {
+          environment: action.environment,
+          planeIssue: action.ticket === true
+        });
+        const result = await this.railwayAgent.executeTicket(ticket, { wait: false });
+        if (result.status === 'failed') return { status: 'failed', error: result.error };
+        return { status: result.status, deploymentId: result.deploymentId };
+      }
+
+      if (!this.planeAgent) throw new Error('Plane agent not configured');
+      const { workspaceSlug, projectId, issueId } = await this.resolveContext(data);
+      if (!workspaceSlug || !projectId || !issueId) {
+        throw new Error('Missing workspace, project or issue ID');
+      }
+
+      switch (action.action) {
+        case 'set_priority': {
+          const priority = normalizePriority(action.priority);
+          if (data.priority === priority) return { status: 'unchanged' };
+          await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { priority });
+          break;
+        }
+
+        case 'add_label': {
+          // Labels may be given by name or by ID
+          const [labelId] = UUID_PATTERN.test(action.label)
+            ? [action.label]
+            : await this.planeAgent.resolveLabelIds(workspaceSlug, projectId, [action.label], { createMissing: action.create });
+          if (!labelId) throw new Error(`Label "${action.label}" not found in project`);
+
+          const labels = data.labels || [];
+          if (labels.includes(labelId)) return { status: 'unchanged' };
+          await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { labels: [...labels, labelId] });
+          break;
+        }
+
+        case 'assign': {
+          const assignees = data.assignees || [];
+          if (assignees.includes(action.assignee)) return { status: 'unchanged' };
+          await this.planeAgent.updateIssue(workspaceSlug, projectId, issueId, { assignees: [...assignees, action.assignee] });
+          break;
+        }
+
+        case 'comment': {
+          const kind = `rule-${rule.name}`;
+          if (await this.planeAgent.hasAgentComment(workspaceSlug, projectId, issueId, kind)) {
+            return { status: 'unchanged' };
+          }
+          const text = renderTemplate(action.text, data, { html: true });
+          await this.planeAgent.addComment(workspaceSlug, projectId, issueId, PlaneAgent.withMarker(text, kind));
+          break;
+        }
+      }
+
+      return { status: 'applied' };
+    } catch (error) {
+      console.error(`❌ Rule "${rule.name}" action ${action.action} failed: ${error.message}`);
+      return { status: 'failed', error: error.message };
+    }
+  }
+}
+
+// CLI usage
+if (require.main === module) {
+  const [,, command, ...args] = process.argv;
+
+  switch (command) {
+    case 'validate': {
+      const rulesFile = args[0] || DEFAULT_RULES_FILE;
+      const problems = validateRules(JSON.parse(fs.readFileSync(rulesFile, 'utf8')));
+      if (problems.length > 0) {
+        console.error('❌ Invalid rules:');
+        problems.forEach(problem => console.error(`  - ${problem}`));
+        process.exit(1);
+      }
+      console.log(`✅ ${rulesFile} is valid`);
+      break;
+    }
+
+    case 'dry-run': {
+      if (!args[0]) {
+        console.error('Usage: node rule-engine.js dry-run <payload.json> [rules.json]');
+        process.exit(1);
+      }
+      const payload = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+      const engine = new RuleEngine({ rulesFile: args[1], dryRun: true });
+      engine.load();
+
+      engine.run(payload.event_type, payload.data || {}).then(results => {
+        if (results.length === 0) {
+          console.log(`\n💤 No rules fire for ${payload.event_type}`);
+          return;
+        }
+        console.log(`\n📋 ${results.length} action(s) would run for ${payload.event_type}:`);
+        results.forEach(r => console.log(`  - [${r.rule}] ${r.action}: ${r.detail}`));
+      });
+      break;
+    }
+
+    default:
+      console.log(`
+📏 Rule Engine - Declarative webhook event rules
+
+Usage:
+  node rule-engine.js validate [rules.json]                 # Check a rules file
+  node rule-engine.js dry-run <payload.json> [rules.json]   # Show which rules would fire
+
+Payload files look like a Plane webhook body: { "event_type": "issue.created", "data": { ... } }
+Rules file defaults to $WEBHOOK_RULES_FILE or webhook-handler/rules.json
+      `);
+  }
+}
+
+module.exports = { RuleEngine, validateRules, renderTemplate };
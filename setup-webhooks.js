@@ -1,93 +1,349 @@
 #!/usr/bin/env node
 
 // Plane Webhook Configuration for AI Integration
-const config = {
-  services: {
-    plane: {
-      url: process.env.PLANE_URL || 'https://plane-production.up.railway.app',
-      apiKey: process.env.PLANE_API_KEY || '', // Set this once you get API key from Plane
-    },
-    webhook: {
-      url: process.env.WEBHOOK_URL || 'http://webhooks.local:3000',
-    }
+// Registers the webhook handler with Plane. `ensure` is safe to re-run: it
+// finds the webhook pointing at our URL and updates it instead of creating
+// another one. Plane URL/API key and the webhook URL come from config.js.
+const crypto = require('crypto');
+const PlaneAgent = require('./plane-agent');
+const { config } = require('./config');
+const { computeSignature } = require('./webhook-signature');
+
+// Event toggles on a Plane webhook
+const EVENT_TYPES = ['project', 'issue', 'issue_comment', 'module', 'cycle'];
+const DEFAULT_EVENTS = ['issue', 'issue_comment', 'module', 'cycle'];
+
+// How long `test` waits for the handler to process the ping
+const TEST_TIMEOUT_MS = 15000;
+
+// Flags that don't take a value
+const BOOLEAN_FLAGS = ['yes', 'dry-run', 'prune'];
+
+// Endpoint Plane delivers to, without any ?projects= scope
+function handlerUrl(baseUrl = config.get('webhook.url')) {
+  return `${baseUrl.replace(/\/$/, '')}/plane-webhook`;
+}
+
+// Does a registered webhook deliver to our handler?
+function isOurs(webhook, url) {
+  const normalize = value => String(value || '').split('?')[0].replace(/\/$/, '');
+  return normalize(webhook.url) === normalize(url);
+}
+
+function enabledEvents(webhook) {
+  return EVENT_TYPES.filter(type => webhook[type] === true);
+}
+
+// Webhook body for the given URL, project IDs and event types
+function webhookData(url, projectIds, events) {
+  return {
+    url: projectIds.length > 0 ? `${url}?projects=${projectIds.join(',')}` : url,
+    is_active: true,
+    ...Object.fromEntries(EVENT_TYPES.map(type => [type, events.includes(type)]))
+  };
+}
+
+function list(value) {
+  return value ? String(value).split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+// Ask a yes/no question on the terminal
+async function confirm(question) {
+  if (!process.stdin.isTTY) {
+    console.log(`${question} - not a terminal, pass --yes to confirm`);
+    return false;
   }
-};
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
 
-// Webhook events we want for AI collaboration
-const webhookConfig = {
-  url: `${config.services.webhook.url}/plane-webhook`,
-  is_active: true,
-  project: [], // Will be filled with project IDs
-  // Event types for AI collaboration
-  issue: true,           // Issue created/updated
-  issue_comment: true,   // Comments added
-  module: true,          // Sprint/module changes
-  cycle: true,           // Cycle updates
-  page: true,            // Wiki page changes
-};
+// --workspace slugs, else the configured workspace, else every workspace
+async function selectWorkspaces(agent, flags) {
+  const slugs = list(flags.workspace);
+  if (slugs.length > 0) return slugs;
+  if (config.get('plane.workspace')) return [config.get('plane.workspace')];
+  return (await agent.getWorkspaces()).map(w => w.slug);
+}
 
-async function setupPlaneWebhook() {
-  const { plane } = config.services;
-  
-  console.log('🚀 Setting up Plane webhook for AI collaboration...');
-  console.log(`📍 Plane URL: ${plane.url}`);
-  console.log(`🔗 Webhook URL: ${webhookConfig.url}`);
-  
-  if (!plane.apiKey) {
-    console.log('\n⚠️  Need to set PLANE_API_KEY first!');
-    console.log('1. Login to Plane at:', plane.url);
-    console.log('2. Go to Profile Settings → API Tokens');
-    console.log('3. Generate new token');
-    console.log('4. Set environment variable: export PLANE_API_KEY=your_token');
-    return;
+// Map --project values (IDs, identifiers like IND, or names) to project IDs
+async function resolveProjects(agent, workspaceSlug, values) {
+  if (values.length === 0) return [];
+  const projects = await agent.collect(agent.iterateProjects(workspaceSlug));
+  return values.map(value => {
+    const project = projects.find(p => p.id === value
+      || (p.identifier || '').toLowerCase() === value.toLowerCase()
+      || (p.name || '').toLowerCase() === value.toLowerCase());
+    if (!project) throw new Error(`Project ${value} not found in ${workspaceSlug}`);
+    return project.id;
+  });
+}
+
+async function listWebhooks(agent, flags) {
+  const url = handlerUrl(flags.url);
+
+  for (const workspaceSlug of await selectWorkspaces(agent, flags)) {
+    const webhooks = await agent.getWebhooks(workspaceSlug);
+    console.log(`\n🏢 ${workspaceSlug}: ${webhooks.length} webhook(s)`);
+    webhooks.forEach(webhook => {
+      console.log(`  ${webhook.is_active ? '🟢' : '⚪'} ${webhook.id}  ${webhook.url}${isOurs(webhook, url) ? '  ← this handler' : ''}`);
+      console.log(`     events: ${enabledEvents(webhook).join(', ') || 'none'}`);
+    });
   }
+}
+
+// Create or update the webhook pointing at our handler in each workspace.
+// Returns [{ workspace, id, action: 'created' | 'updated' | 'unchanged', secret }]
+async function ensureWebhooks(agent, flags) {
+  const url = handlerUrl(flags.url);
+  const events = flags.events ? list(flags.events) : DEFAULT_EVENTS;
+  const unknown = events.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event type(s): ${unknown.join(', ')} (available: ${EVENT_TYPES.join(', ')})`);
+  }
+
+  console.log('🚀 Setting up Plane webhook for AI collaboration...');
+  console.log(`📍 Plane URL: ${agent.apiUrl}`);
+  console.log(`🔗 Webhook URL: ${url}`);
+  console.log(`📡 Events: ${events.join(', ')}`);
+
+  const results = [];
+  for (const workspaceSlug of await selectWorkspaces(agent, flags)) {
+    const projectIds = await resolveProjects(agent, workspaceSlug, list(flags.project));
+    const desired = webhookData(url, projectIds, events);
+    const [existing, ...duplicates] = (await agent.getWebhooks(workspaceSlug)).filter(w => isOurs(w, url));
+
+    console.log(`\n🏢 ${workspaceSlug}${projectIds.length > 0 ? ` (${projectIds.length} project(s))` : ''}`);
 
-  try {
-    // First, get workspace info
-    const workspaceRes = await fetch(`${plane.url}/api/v1/workspaces/`, {
-      headers: {
-        'X-API-Key': plane.apiKey,
-        'Content-Type': 'application/json'
+    if (!existing) {
+      if (flags['dry-run']) {
+        console.log('  ➕ Would create webhook');
+        results.push({ workspace: workspaceSlug, action: 'created' });
+      } else {
+        const webhook = await agent.createWebhook(workspaceSlug, desired);
+        console.log(`  ✅ Webhook created: ${webhook.id}`);
+        // Plane only returns the signing secret on creation - keep it
+        results.push({ workspace: workspaceSlug, id: webhook.id, action: 'created', secret: webhook.secret_key });
+      }
+    } else {
+      const changes = Object.keys(desired).filter(key => existing[key] !== desired[key]);
+      if (changes.length === 0) {
+        console.log(`  ✅ Webhook ${existing.id} is up to date`);
+        results.push({ workspace: workspaceSlug, id: existing.id, action: 'unchanged' });
+      } else {
+        console.log(`  ✏️  ${flags['dry-run'] ? 'Would update' : 'Updating'} webhook ${existing.id}: ${changes.join(', ')}`);
+        if (!flags['dry-run']) await agent.updateWebhook(workspaceSlug, existing.id, desired);
+        results.push({ workspace: workspaceSlug, id: existing.id, action: 'updated' });
       }
-    });
-    
-    if (!workspaceRes.ok) {
-      throw new Error(`Failed to get workspaces: ${workspaceRes.status}`);
     }
-    
-    const workspaces = await workspaceRes.json();
-    console.log('✅ Found workspaces:', workspaces.length);
-    
-    // Create webhook for each workspace
-    for (const workspace of workspaces) {
-      console.log(`\n🔧 Setting up webhook for workspace: ${workspace.name}`);
-      
-      const webhookRes = await fetch(`${plane.url}/api/v1/workspaces/${workspace.slug}/webhooks/`, {
-        method: 'POST',
-        headers: {
-          'X-API-Key': plane.apiKey,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(webhookConfig)
-      });
-      
-      if (webhookRes.ok) {
-        const webhook = await webhookRes.json();
-        console.log('✅ Webhook created:', webhook.id);
+
+    for (const duplicate of duplicates) {
+      if (flags.prune && !flags['dry-run']) {
+        await agent.deleteWebhook(workspaceSlug, duplicate.id);
+        console.log(`  🗑️  Deleted duplicate webhook ${duplicate.id}`);
       } else {
-        console.log('❌ Failed to create webhook:', webhookRes.status);
+        console.log(`  ⚠️  Duplicate webhook ${duplicate.id} - ${flags.prune ? 'would be deleted' : 'pass --prune to delete it'}`);
       }
     }
-    
-  } catch (error) {
-    console.error('❌ Error setting up webhooks:', error.message);
   }
+
+  // Every workspace's webhook has its own secret; the handler accepts any
+  // of the configured ones, so new secrets are appended to the existing
+  // list. Only the new ones are printed: the rest stay out of the terminal.
+  const withSecret = results.filter(webhook => webhook.secret);
+  if (withSecret.length > 0) {
+    const configured = config.get('plane.webhookSecret') || [];
+    const secrets = [...new Set(withSecret.map(webhook => webhook.secret))].filter(secret => !configured.includes(secret));
+    console.log(`\n🔑 New signing secret(s) for ${withSecret.map(webhook => webhook.workspace).join(', ')}.`);
+    if (configured.length > 0) {
+      console.log(`   Append to PLANE_WEBHOOK_SECRET (comma-separated, after the ${configured.length} already configured):`);
+      console.log(`   ${secrets.join(',')}`);
+    } else {
+      console.log('   Configure the webhook handler with:');
+      console.log(`   PLANE_WEBHOOK_SECRET=${secrets.join(',')}`);
+    }
+    console.log('   (set it as a Railway variable on the webhook-handler service)');
+    const existing = results.filter(webhook => webhook.action !== 'created');
+    if (existing.length > 0 && !config.get('plane.webhookSecret')) {
+      console.log(`\n⚠️  Plane only returns a webhook's secret when it is created: add the secrets of the existing webhooks in ${existing.map(webhook => webhook.workspace).join(', ')}, or delete and re-create them`);
+    }
+  }
+
+  return results;
+}
+
+// Delete webhooks by ID, or every webhook pointing at our handler
+async function deleteWebhooks(agent, ids, flags) {
+  const url = handlerUrl(flags.url);
+  const targets = [];
+
+  for (const workspaceSlug of await selectWorkspaces(agent, flags)) {
+    const webhooks = await agent.getWebhooks(workspaceSlug);
+    webhooks
+      .filter(webhook => (ids.length > 0 ? ids.includes(webhook.id) : isOurs(webhook, url)))
+      .forEach(webhook => targets.push({ workspaceSlug, webhook }));
+  }
+
+  const missing = ids.filter(id => !targets.some(t => t.webhook.id === id));
+  if (missing.length > 0) console.log(`⚠️  Not found: ${missing.join(', ')}`);
+  if (targets.length === 0) {
+    console.log('✅ Nothing to delete');
+    return [];
+  }
+
+  targets.forEach(({ workspaceSlug, webhook }) => console.log(`  🗑️  ${workspaceSlug}: ${webhook.id}  ${webhook.url}`));
+  if (flags['dry-run']) return [];
+  if (!flags.yes && !(await confirm(`Delete ${targets.length} webhook(s)?`))) {
+    console.log('🚫 Cancelled');
+    return [];
+  }
+
+  for (const { workspaceSlug, webhook } of targets) {
+    await agent.deleteWebhook(workspaceSlug, webhook.id);
+    console.log(`✅ Deleted ${webhook.id}`);
+  }
+  return targets.map(t => t.webhook.id);
+}
+
+// Send a signed ping to the handler, then wait until its queue processed it
+async function testWebhook(flags) {
+  const url = handlerUrl(flags.url);
+  const secret = flags.secret || (config.get('plane.webhookSecret') || [])[0];
+  const deliveryId = `ping-${crypto.randomUUID()}`;
+  const body = JSON.stringify({
+    event_type: 'ping',
+    timestamp: new Date().toISOString(),
+    data: { message: 'Test delivery from setup-webhooks.js' }
+  });
+
+  console.log(`📨 Sending ping ${deliveryId} to ${url}`);
+  if (!secret) console.log('⚠️  No PLANE_WEBHOOK_SECRET - sending unsigned (only accepted outside production)');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Plane-Delivery': deliveryId,
+      'X-Plane-Event': 'ping',
+      ...(secret ? { 'X-Plane-Signature': computeSignature(secret, body) } : {})
+    },
+    body
+  });
+  const result = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    throw new Error(`Handler rejected the ping: ${result.message || 'unauthorized'} - does PLANE_WEBHOOK_SECRET match the handler's?`);
+  }
+  if (!response.ok) {
+    throw new Error(`Handler answered ${response.status}: ${result.message || response.statusText}`);
+  }
+  console.log(`✅ Received by the handler (${result.status || response.status})`);
+
+  // Follow the delivery through the event queue
+  const statusUrl = url.replace(/\/plane-webhook$/, `/queue/${deliveryId}`);
+  const deadline = Date.now() + TEST_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const statusResponse = await fetch(statusUrl);
+    const { status } = await statusResponse.json().catch(() => ({}));
+
+    if (status === 'done') {
+      console.log('✅ Processed by the event queue');
+      return true;
+    }
+    if (status === 'dead') {
+      throw new Error('The handler failed to process the ping (see its dead letters at /queue)');
+    }
+    if (statusResponse.status === 404 && status === undefined) {
+      console.log('ℹ️  Handler has no delivery status endpoint - receipt confirmed, processing not checked');
+      return true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  throw new Error(`Ping still not processed after ${TEST_TIMEOUT_MS / 1000}s`);
+}
+
+// Split CLI args into positionals and --flag [value] options
+function parseArgs(rawArgs) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < rawArgs.length; i++) {
+    const arg = rawArgs[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+    } else if (BOOLEAN_FLAGS.includes(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else {
+      flags[arg.slice(2)] = rawArgs[++i];
+    }
+  }
+  return { args, flags };
 }
 
 // Export for use in other modules
-module.exports = { config, webhookConfig, setupPlaneWebhook };
+module.exports = {
+  EVENT_TYPES,
+  handlerUrl,
+  listWebhooks,
+  ensureWebhooks,
+  deleteWebhooks,
+  testWebhook
+};
 
 // Run if called directly
 if (require.main === module) {
-  setupPlaneWebhook();
-}
\ No newline at end of file
+  const [,, command, ...rawArgs] = process.argv;
+  const { args, flags } = parseArgs(rawArgs);
+
+  const fail = error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  };
+
+  // Everything but `test` talks to the Plane API
+  if (['list', 'ensure', 'delete'].includes(command)) config.ensure(['plane.url', 'plane.apiKey']);
+  const agent = new PlaneAgent();
+
+  switch (command) {
+    case 'list':
+      listWebhooks(agent, flags).catch(fail);
+      break;
+
+    case 'ensure':
+      ensureWebhooks(agent, flags).catch(fail);
+      break;
+
+    case 'delete':
+      deleteWebhooks(agent, args, flags).catch(fail);
+      break;
+
+    case 'test':
+      testWebhook(flags).catch(fail);
+      break;
+
+    default:
+      console.log(`
+🔗 Plane webhook setup
+
+Usage:
+  node setup-webhooks.js list                       # Webhooks per workspace (ours are marked)
+  node setup-webhooks.js ensure                     # Create or update the webhook for this handler
+  node setup-webhooks.js delete [webhook-id...]     # Delete by ID, or every webhook for this handler
+  node setup-webhooks.js test                       # Send a signed ping and wait until it's processed
+
+Options:
+  --workspace <slug,...>  Workspaces (default: $PLANE_WORKSPACE_SLUG, else all)
+  --project <id,...>      ensure: only deliver events for these projects (IDs, identifiers or names)
+  --events <type,...>     ensure: ${EVENT_TYPES.join(', ')} (default: ${DEFAULT_EVENTS.join(', ')})
+  --url <base-url>        Handler base URL (default: $WEBHOOK_URL)
+  --prune                 ensure: delete duplicate webhooks for this handler
+  --dry-run               ensure/delete: show what would change
+  --yes                   delete: don't ask for confirmation
+  --secret <secret>       test: signing secret (default: the first in $PLANE_WEBHOOK_SECRET)
+
+A webhook is "ours" when it delivers to <url>/plane-webhook, whatever its
+project scope, so re-running ensure updates it in place. Plane shows the
+signing secret only when a webhook is created; ensure prints it then.
+      `);
+  }
+}
@@ -0,0 +1,154 @@
+// Local TF-IDF similarity index over issue titles and descriptions
+// Used to spot likely duplicates when a ticket is created. Everything lives in
+// memory; build it from the issues returned by PlaneAgent.getIssues().
+const { config } = require('./config');
+
+// Words that say nothing about what an issue is about
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'not', 'of', 'on', 'or',
+  'should', 'so', 'that', 'the', 'their', 'then', 'there', 'this', 'to', 'up', 'was', 'we',
+  'when', 'where', 'which', 'will', 'with', 'would', 'you', 'our', 'need', 'needs', 'please'
+]);
+
+// Title words count this many times as often as description words
+const TITLE_WEIGHT = 3;
+
+// Score above which an issue is reported as a possible duplicate
+const DEFAULT_THRESHOLD = config.get('analysis.duplicateThreshold');
+
+// Crude suffix stripping so "crashes", "crashed" and "crashing" all become "crash"
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (/ing$/.test(word) && word.length > 5) return word.slice(0, -3);
+  if (/ed$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercase, stemmed words without stop words
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9_-]*/g) || [])
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Term counts for a document, title words weighted up
+function termCounts({ title, description }) {
+  const counts = new Map();
+  const add = (term, weight) => counts.set(term, (counts.get(term) || 0) + weight);
+  tokenize(title).forEach(term => add(term, TITLE_WEIGHT));
+  tokenize(description).forEach(term => add(term, 1));
+  return counts;
+}
+
+class SimilarityIndex {
+  constructor() {
+    this.docs = new Map(); // id → { doc, counts }
+    this.documentFrequency = new Map(); // term → number of docs containing it
+    this.vectors = null; // Rebuilt lazily after changes
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  // Build an index from Plane issue objects
+  static fromIssues(issues) {
+    const index = new SimilarityIndex();
+    issues.forEach(issue => index.addIssue(issue));
+    return index;
+  }
+
+  // Add a Plane issue (webhook payload or API object)
+  addIssue(issue) {
+    this.add({
+      id: issue.id,
+      title: issue.name || issue.title || '',
+      description: issue.description_stripped || issue.description || '',
+      sequenceId: issue.sequence_id
+    });
+  }
+
+  // Add or replace a document: { id, title, description, ...anything else }
+  add(doc) {
+    if (this.docs.has(doc.id)) this.remove(doc.id);
+
+    const counts = termCounts(doc);
+    counts.forEach((count, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+    this.docs.set(doc.id, { doc, counts });
+    this.vectors = null;
+  }
+
+  remove(id) {
+    const entry = this.docs.get(id);
+    if (!entry) return;
+
+    entry.counts.forEach((count, term) => {
+      const df = this.documentFrequency.get(term) - 1;
+      if (df > 0) {
+        this.documentFrequency.set(term, df);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+    this.docs.delete(id);
+    this.vectors = null;
+  }
+
+  // Smoothed IDF, so terms in every document still count a little
+  idf(term) {
+    return Math.log((1 + this.docs.size) / (1 + (this.documentFrequency.get(term) || 0))) + 1;
+  }
+
+  // Unit-length TF-IDF vector
+  vectorize(counts) {
+    const vector = new Map();
+    let norm = 0;
+    counts.forEach((count, term) => {
+      const weight = (1 + Math.log(count)) * this.idf(term);
+      vector.set(term, weight);
+      norm += weight * weight;
+    });
+    norm = Math.sqrt(norm);
+    if (norm > 0) vector.forEach((weight, term) => vector.set(term, weight / norm));
+    return vector;
+  }
+
+  // Documents most similar to { title, description }, best first.
+  // Options: threshold (0-1 cosine similarity), limit, excludeId
+  findSimilar(query, { threshold = DEFAULT_THRESHOLD, limit = 5, excludeId } = {}) {
+    if (!this.vectors) {
+      this.vectors = new Map([...this.docs].map(([id, entry]) => [id, this.vectorize(entry.counts)]));
+    }
+
+    const queryVector = this.vectorize(termCounts(query));
+    if (queryVector.size === 0) return [];
+
+    const matches = [];
+    this.vectors.forEach((vector, id) => {
+      if (id === excludeId) return;
+
+      let score = 0;
+      queryVector.forEach((weight, term) => {
+        score += weight * (vector.get(term) || 0);
+      });
+
+      if (score >= threshold) {
+        matches.push({ id, score: Math.round(score * 100) / 100, doc: this.docs.get(id).doc });
+      }
+    });
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  SimilarityIndex,
+  tokenize
+};
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractActionItems, itemDescriptionHtml } = require('../action-items');
+
+test('"we need to" sentences are extracted', () => {
+  assert.deepStrictEqual(extractActionItems('Looks good. We need to rotate the keys before launch.'), [
+    { title: 'Rotate the keys before launch', source: 'need', mention: undefined }
+  ]);
+});
+
+test('ordinary "should" and "must" sentences are not extracted', () => {
+  const text = [
+    'We should probably keep the old endpoint around.',
+    'I think we must have missed this in review.',
+    'We have to admit the fix is neat.',
+    'This should work now.'
+  ].join('\n');
+
+  assert.deepStrictEqual(extractActionItems(text), []);
+});
+
+test('checklist, TODO and mention items', () => {
+  const text = [
+    '- [ ] write the migration',
+    '- [x] already done',
+    'TODO: add retries',
+    '@alex please review the schema'
+  ].join('\n');
+
+  assert.deepStrictEqual(extractActionItems(text).map(item => [item.source, item.title, item.mention]), [
+    ['checklist', 'Write the migration', undefined],
+    ['todo', 'Add retries', undefined],
+    ['mention', 'Review the schema', 'alex']
+  ]);
+});
+
+test('Plane comment_html task lists and mentions', () => {
+  const comment = {
+    comment_html: '<ul data-type="taskList"><li data-checked="false"><p>update the docs</p></li></ul>'
+      + '<p><mention-component entity_identifier="user-1"></mention-component> can you check the logs?</p>'
+  };
+
+  assert.deepStrictEqual(extractActionItems(comment).map(item => [item.source, item.title, item.mention]), [
+    ['checklist', 'Update the docs', undefined],
+    ['mention', 'Check the logs', 'user-1']
+  ]);
+});
+
+test('item descriptions escape the comment text', () => {
+  assert.match(itemDescriptionHtml({ title: 'Fix <script> & "quotes"' }), /Fix &lt;script&gt; &amp; &quot;quotes&quot;/);
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { ChatCompletionsProvider, createAnalysisProvider } = require('../analysis-provider');
+const { buildTaxonomy } = require('../ticket-analysis');
+
+const taxonomy = buildTaxonomy();
+const ticket = { title: 'Login crashes on Safari', description: 'The login page crashes on Safari 17 with a TypeError.' };
+
+// A local chat-completions endpoint; each test sets how it answers
+let respond;
+const requests = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+    respond(res);
+  });
+});
+let baseUrl;
+
+// Answer with a model message
+const reply = content => res => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }));
+};
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  test.mock.method(console, 'warn', () => {});
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test.beforeEach(() => {
+  requests.length = 0;
+});
+
+test('a valid JSON answer becomes the analysis', async () => {
+  respond = reply('```json\n' + JSON.stringify({
+    title: 'Fix login crash on Safari',
+    category: 'bug',
+    priority: 'high',
+    complexity: 'medium',
+    labels: ['Frontend', 'not-in-taxonomy'],
+    acceptanceCriteria: [' Login works on Safari 17 ']
+  }) + '\n```');
+
+  const provider = new ChatCompletionsProvider({ baseUrl, apiKey: 'test-key', model: 'test-model', taxonomy });
+  const analysis = await provider.analyze(ticket);
+
+  assert.deepStrictEqual(analysis, {
+    title: 'Fix login crash on Safari',
+    category: 'bug',
+    categoryName: taxonomy.categories.bug.name,
+    priority: 'high',
+    complexity: 'medium',
+    labels: ['frontend'],
+    acceptanceCriteria: ['Login works on Safari 17'],
+    description: ticket.description,
+    provider: 'llm'
+  });
+
+  assert.strictEqual(requests[0].url, '/v1/chat/completions');
+  assert.strictEqual(requests[0].headers.authorization, 'Bearer test-key');
+  assert.strictEqual(requests[0].body.model, 'test-model');
+  assert.match(requests[0].body.messages[1].content, /Login crashes on Safari/);
+});
+
+test('a slow endpoint times out', async () => {
+  respond = res => setTimeout(() => reply('{}')(res), 500);
+
+  const provider = new ChatCompletionsProvider({ baseUrl, timeoutMs: 50, taxonomy });
+  await assert.rejects(provider.analyze(ticket), { name: 'TimeoutError' });
+});
+
+test('invalid model output falls back to the heuristics', async t => {
+  const settings = {
+    'analysis.provider': 'llm',
+    'llm.baseUrl': baseUrl,
+    'llm.model': 'test-model',
+    'llm.timeoutMs': 1000
+  };
+  const provider = createAnalysisProvider({ get: key => settings[key] });
+
+  await t.test('not JSON', async () => {
+    respond = reply('Sure! This looks like a bug.');
+    const analysis = await provider.analyze(ticket);
+    assert.strictEqual(analysis.provider, 'heuristic');
+    assert.strictEqual(analysis.category, 'bug');
+    assert.strictEqual(requests.length, 1);
+  });
+
+  await t.test('outside the schema', async () => {
+    respond = reply(JSON.stringify({ title: 'Fix it', category: 'chore', priority: 'p1', complexity: 'huge', labels: [], acceptanceCriteria: [] }));
+    assert.strictEqual((await provider.analyze(ticket)).provider, 'heuristic');
+  });
+
+  await t.test('an HTTP error', async () => {
+    respond = res => { res.writeHead(500); res.end('upstream down'); };
+    assert.strictEqual((await provider.analyze(ticket)).provider, 'heuristic');
+  });
+});
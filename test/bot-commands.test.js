@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CommandBot } = require('../bot-commands');
+
+// Run one command comment and return the reply that was posted
+async function reply(text, options = {}) {
+  const comments = [];
+  const planeAgent = {
+    hasAgentComment: async () => false,
+    addComment: async (workspaceSlug, projectId, issueId, comment) => comments.push(comment),
+    ...options.planeAgent
+  };
+  const bot = new CommandBot({
+    planeAgent,
+    allowedUsers: ['*'],
+    resolveContext: async () => ({ workspaceSlug: 'ws', projectId: 'p', issueId: 'i' }),
+    ...options.bot
+  });
+
+  assert.strictEqual(await bot.handle({ id: 'c1', actor: 'u1', comment_stripped: text }), true);
+  return comments[0];
+}
+
+test('error text is escaped in the reply', async () => {
+  const posted = await reply('/assign <b>nobody</b>', {
+    planeAgent: { resolveMemberId: async () => undefined }
+  });
+  assert.match(posted, /failed: no project member matches &lt;b&gt;nobody&lt;\/b&gt;/);
+});
+
+test('usage placeholders in the help text survive as text', async () => {
+  const posted = await reply('/help');
+  assert.match(posted, /\/deploy &lt;service&gt; \[railway-project\]/);
+});
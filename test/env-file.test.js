@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseEnvFile, formatEnvFile, diffVariables } = require('../env-file');
+
+test('formatted values parse back unchanged', async t => {
+  const values = {
+    'Windows path': 'C:\\new',
+    'trailing backslash': 'C:\\',
+    'literal backslash-n': 'a\\nb',
+    'double backslash': '\\\\server\\share',
+    'quotes': 'say "hi"',
+    'escaped quote': '\\"',
+    'newlines': 'line one\nline two\n',
+    'hash': 'abc #not a comment',
+    'spaces': '  padded  ',
+    'equals': 'a=b=c',
+    'empty': '',
+    'unicode': 'naïve ☃'
+  };
+
+  for (const [label, value] of Object.entries(values)) {
+    await t.test(label, () => {
+      assert.deepStrictEqual(parseEnvFile(formatEnvFile({ K: value })), { K: value });
+    });
+  }
+
+  await t.test('several values', () => {
+    const vars = Object.fromEntries(Object.values(values).map((value, i) => [`VAR_${i}`, value]));
+    assert.deepStrictEqual(parseEnvFile(formatEnvFile(vars)), vars);
+  });
+});
+
+test('parses comments, export, quoting and multi-line values', () => {
+  const text = [
+    '\uFEFF# comment',
+    'export A=1',
+    'B = two  # trailing comment',
+    "C='single \\n quoted'",
+    'D="double \\n quoted" # comment',
+    'E="spans',
+    'lines"',
+    'F=""',
+    'G="\\\\"',
+    'H=after'
+  ].join('\r\n');
+
+  assert.deepStrictEqual(parseEnvFile(text), {
+    A: '1',
+    B: 'two',
+    C: 'single \\n quoted',
+    D: 'double \n quoted',
+    E: 'spans\nlines',
+    F: '',
+    G: '\\',
+    H: 'after'
+  });
+});
+
+test('invalid lines are reported with their number', () => {
+  assert.throws(() => parseEnvFile('A=1\nnot a variable'), /^Error: Line 2: expected KEY=VALUE/);
+  assert.throws(() => parseEnvFile('1A=x'), /^Error: Line 1/);
+});
+
+test('diffVariables only removes missing names when pruning', () => {
+  const current = { A: '1', B: '2', C: '3' };
+  const desired = { A: '1', B: 'two', D: '4' };
+
+  assert.deepStrictEqual(diffVariables(current, desired).map(c => [c.name, c.change]), [
+    ['A', 'same'], ['B', 'update'], ['C', 'same'], ['D', 'add']
+  ]);
+  assert.deepStrictEqual(diffVariables(current, desired, { prune: true }).find(c => c.name === 'C'), {
+    name: 'C', change: 'remove', from: '3', to: undefined
+  });
+});
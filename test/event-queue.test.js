@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventQueue = require('../event-queue');
+
+// Process everything queued, without the timer-driven worker
+async function drain(queue) {
+  for (const entry of [...queue.pending.values()]) {
+    await queue.process(entry);
+  }
+}
+
+test('only the last rememberDeliveries finished deliveries are kept while running', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'error', () => {});
+
+  const queue = new EventQueue(async event => {
+    if (event.fail) throw new Error('boom');
+  }, { dir, rememberDeliveries: 2, maxAttempts: 1 });
+  queue.stop();
+
+  ['a', 'b', 'c'].forEach(id => queue.enqueue(id, { id }));
+  await drain(queue);
+  queue.enqueue('d', { fail: true });
+  queue.enqueue('e', {});
+  await drain(queue);
+
+  assert.deepStrictEqual(['a', 'b', 'c', 'd', 'e'].map(id => queue.deliveryStatus(id)), [null, null, null, 'dead', 'done']);
+
+  // Pending deliveries are never forgotten
+  queue.enqueue('f', {});
+  queue.enqueue('g', {});
+  assert.strictEqual(queue.deliveryStatus('f'), 'pending');
+  assert.strictEqual(queue.deliveries.size, 4);
+
+  // A restart keeps the same ones
+  const restarted = new EventQueue(async () => {}, { dir, rememberDeliveries: 2 });
+  restarted.stop();
+  assert.deepStrictEqual(['c', 'd', 'e', 'f'].map(id => restarted.deliveryStatus(id)), [null, 'dead', 'done', 'pending']);
+});
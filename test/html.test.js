@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { stripHtml, escapeHtml, textToHtml } = require('../html');
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.strictEqual(escapeHtml(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+  assert.strictEqual(escapeHtml(undefined), '');
+  assert.strictEqual(escapeHtml(0), '0');
+});
+
+test('textToHtml keeps paragraphs and line breaks', () => {
+  const text = 'Login fails on <Safari>\r\nsince 2.3\n\n\nSteps:\n1. open & log in';
+  assert.strictEqual(textToHtml(text), '<p>Login fails on &lt;Safari&gt;<br>since 2.3</p><p>Steps:<br>1. open &amp; log in</p>');
+});
+
+test('stripHtml gets the text back from textToHtml', () => {
+  const text = 'First line\nsecond <line>\n\nNext "paragraph"';
+  assert.strictEqual(stripHtml(textToHtml(text)), 'First line\nsecond <line>\nNext "paragraph"');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RailwayAgent = require('../railway-agent');
+
+// An agent with no Plane issue tracking whose deployment list changes after
+// the redeploy is triggered
+function stubAgent(before, after) {
+  const agent = new RailwayAgent('test-token');
+  agent.plane = null;
+  let triggered = false;
+  agent.getServiceDeployments = async () => (triggered ? after : before);
+  agent.triggerDeployment = async () => { triggered = true; return true; };
+  agent.getDeployment = async id => ({ id, status: 'BUILDING' });
+  return agent;
+}
+
+test('a redeploy follows the deployment that was not there before', async () => {
+  const ticket = { id: 't1', action: 'redeploy', service: 'api', project: 'p', serviceId: 's', environmentId: 'e' };
+  const old = { id: 'old', createdAt: '2024-05-14T10:00:00Z' };
+  // Railway's clock is behind ours: the new deployment looks older than the request
+  const created = { id: 'new', createdAt: '2000-01-01T00:00:00Z' };
+
+  const result = await stubAgent([old], [created, old]).executeTicket(ticket, { wait: false });
+  assert.strictEqual(result.status, 'triggered');
+  assert.strictEqual(result.deploymentId, 'new');
+});
+
+test('findNewDeployment ignores deployments that already existed', async () => {
+  const agent = stubAgent([], [{ id: 'a' }, { id: 'b' }]);
+  await agent.triggerDeployment();
+  const deployment = await agent.findNewDeployment('s', 'e', new Set(['a']), 1);
+  assert.strictEqual(deployment.id, 'b');
+});
+
+test('Plane issues are filed for deploy tickets, not for status or when opted out', async () => {
+  const agent = new RailwayAgent('test-token');
+  agent.plane = { agent: { issueUrl: () => 'https://plane.test/issue' }, workspaceSlug: 'ws', projectId: 'deployments' };
+  agent.findService = async () => ({ project: { id: 'p', name: 'p' }, service: { id: 's', name: 'api' } });
+  agent.findEnvironment = async () => ({ id: 'e', name: 'production' });
+  agent.getServiceDeployments = async () => [];
+  const filed = [];
+  agent.createPlaneIssue = async ticket => { filed.push(ticket.action); return { id: `issue-${filed.length}` }; };
+
+  await agent.createDeploymentTicket('p', 'api', 'redeploy');
+  await agent.createDeploymentTicket('p', 'api', 'status');
+  const unfiled = await agent.createDeploymentTicket('p', 'api', 'redeploy', { planeIssue: false });
+
+  assert.deepStrictEqual(filed, ['redeploy']);
+  assert.strictEqual(unfiled.planeIssueId, undefined);
+});
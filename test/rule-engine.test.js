@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RuleEngine, renderTemplate } = require('../rule-engine');
+
+test('renderTemplate escapes payload values only when rendering HTML', () => {
+  const data = { name: '<b>Broken</b> & "quoted"', state: { name: 'Todo' } };
+
+  assert.strictEqual(renderTemplate('{{name}} in {{ state.name }}{{missing}}', data), '<b>Broken</b> & "quoted" in Todo');
+  assert.strictEqual(
+    renderTemplate('<em>{{name}}</em>', data, { html: true }),
+    '<em>&lt;b&gt;Broken&lt;/b&gt; &amp; &quot;quoted&quot;</em>'
+  );
+});
+
+test('comment actions escape the substituted values', async () => {
+  const comments = [];
+  const planeAgent = {
+    hasAgentComment: async () => false,
+    addComment: async (workspaceSlug, projectId, issueId, comment) => comments.push(comment)
+  };
+  const engine = new RuleEngine({
+    planeAgent,
+    resolveContext: async () => ({ workspaceSlug: 'ws', projectId: 'p', issueId: 'i' })
+  });
+
+  const result = await engine.execute({ name: 'greet' }, { action: 'comment', text: 'Thanks for {{name}}' }, { name: '<script>x</script>' });
+  assert.strictEqual(result.status, 'applied');
+  assert.match(comments[0], /^Thanks for &lt;script&gt;x&lt;\/script&gt;/);
+});
+
+test('a failed redeploy reports the ticket error', async () => {
+  const railwayAgent = {
+    createDeploymentTicket: async () => ({ id: 't1' }),
+    executeTicket: async ticket => ({ ...ticket, status: 'failed', error: 'Service "api" not found' })
+  };
+  const engine = new RuleEngine({ railwayAgent });
+
+  const result = await engine.execute({ name: 'redeploy' }, { action: 'railway_redeploy', project: 'p', service: 'api' }, {});
+  assert.deepStrictEqual(result, { status: 'failed', error: 'Service "api" not found' });
+});
+
+test('rule redeploys only file a Plane issue when the rule asks for one', async () => {
+  const options = [];
+  const railwayAgent = {
+    createDeploymentTicket: async (project, service, action, ticketOptions) => {
+      options.push(ticketOptions.planeIssue);
+      return { id: 't1' };
+    },
+    executeTicket: async ticket => ({ ...ticket, status: 'triggered', deploymentId: 'd1' })
+  };
+  const engine = new RuleEngine({ railwayAgent });
+
+  await engine.execute({ name: 'quiet' }, { action: 'railway_redeploy', project: 'p', service: 'api' }, {});
+  await engine.execute({ name: 'tracked' }, { action: 'railway_redeploy', project: 'p', service: 'api', ticket: true }, {});
+  assert.deepStrictEqual(options, [false, true]);
+});
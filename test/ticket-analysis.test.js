@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRIORITIES, analyzeTicket, buildTaxonomy, normalizePriority } = require('../ticket-analysis');
+
+const fixtures = require('./fixtures/labeled-tickets.json');
+
+// The built-in taxonomy, whatever $TICKET_TAXONOMY_FILE says
+const taxonomy = buildTaxonomy();
+
+test('labeled descriptions', async t => {
+  for (const { title, description, expected, note } of fixtures) {
+    await t.test(note ? `${description} (${note})` : description, () => {
+      const analysis = analyzeTicket({ title, description }, taxonomy);
+      assert.deepStrictEqual(
+        { category: analysis.category, priority: analysis.priority, labels: analysis.labels },
+        expected
+      );
+    });
+  }
+});
+
+test('every analysis uses a Plane priority', () => {
+  for (const { title, description } of fixtures) {
+    assert.ok(PRIORITIES.includes(analyzeTicket({ title, description }, taxonomy).priority));
+  }
+});
+
+test('a missing title is derived from the description', () => {
+  const analysis = analyzeTicket({ description: 'Checkout page crashes. Steps to reproduce follow.' }, taxonomy);
+  assert.strictEqual(analysis.title, 'Checkout page crashes');
+});
+
+test('normalizePriority maps any spelling onto Plane\'s enum', () => {
+  for (const spelling of ['High', 'high', 'HIGH', ' high ']) {
+    assert.strictEqual(normalizePriority(spelling), 'high');
+  }
+  assert.strictEqual(normalizePriority('Critical'), 'urgent');
+  assert.strictEqual(normalizePriority('P2'), 'medium');
+  assert.strictEqual(normalizePriority('minor'), 'low');
+  assert.strictEqual(normalizePriority(''), 'none');
+  assert.strictEqual(normalizePriority(undefined), 'none');
+  assert.strictEqual(normalizePriority('whenever'), undefined);
+});
+
+test('taxonomy overrides are merged and checked', () => {
+  const custom = buildTaxonomy({ categories: { chore: { name: 'Chore', priority: 'low', keywords: { chore: 3 } } } });
+  assert.strictEqual(analyzeTicket({ description: 'Chore: bump dependencies' }, custom).category, 'chore');
+  assert.strictEqual(analyzeTicket({ description: 'Checkout crashes' }, custom).category, 'bug');
+
+  assert.throws(() => buildTaxonomy({ priorityKeywords: { High: ['asap'] } }), /Unknown priorities in taxonomy: High/);
+  assert.throws(() => buildTaxonomy({ defaultCategory: 'epic' }), /Default category "epic"/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeSignature, verifyPlaneSignature } = require('../webhook-signature');
+
+const SECRET = 'plane_wh_test_secret';
+
+// Run the middleware on a signed delivery; resolves to 'next' or the
+// { status, body } it answered with
+function deliver(middleware, payload, deliveryId) {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const headers = {
+    'x-plane-signature': computeSignature(SECRET, rawBody),
+    ...(deliveryId && { 'x-plane-delivery': deliveryId })
+  };
+  const req = { rawBody, body: payload, get: name => headers[name.toLowerCase()] };
+
+  return new Promise(resolve => {
+    const res = {
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ status: this.code, body }); }
+    };
+    middleware(req, res, () => resolve('next'));
+  });
+}
+
+test.before(() => {
+  test.mock.method(console, 'warn', () => {});
+  test.mock.method(console, 'log', () => {});
+});
+
+test('without a durable record, deliveries need a timestamp', async () => {
+  const verify = verifyPlaneSignature({ secret: SECRET });
+
+  const untimed = await deliver(verify, { event: 'issue' }, 'delivery-1');
+  assert.strictEqual(untimed.status, 401);
+  assert.strictEqual(untimed.body.message, 'Delivery has no timestamp');
+
+  assert.strictEqual(await deliver(verify, { event: 'issue', timestamp: new Date().toISOString() }, 'delivery-2'), 'next');
+});
+
+test('with a durable record, untimed deliveries are checked against it', async () => {
+  const known = new Set(['delivery-old']);
+  const verify = verifyPlaneSignature({ secret: SECRET, isKnownDelivery: id => known.has(id) });
+
+  assert.strictEqual(await deliver(verify, { event: 'issue' }, 'delivery-new'), 'next');
+  assert.strictEqual((await deliver(verify, { event: 'issue' }, 'delivery-old')).body.status, 'ignored');
+  assert.strictEqual((await deliver(verify, { event: 'issue' })).status, 401);
+});
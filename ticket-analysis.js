@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+
+// Shared keyword-based ticket analysis
+// One taxonomy (categories, keyword weights, label vocabulary, priority scale)
+// used by plane-agent.js, plane-ticket-creator.js and the webhook servers.
+// Override any part of it with a JSON file named by $TICKET_TAXONOMY_FILE.
+const fs = require('fs');
+const { config } = require('./config');
+
+// Plane's issue priority enum, most to least urgent
+const PRIORITIES = ['urgent', 'high', 'medium', 'low', 'none'];
+
+const DEFAULT_TAXONOMY = {
+  // Keyword weights per category; the highest total wins
+  categories: {
+    bug: {
+      name: 'Bug',
+      priority: 'high',
+      keywords: { bug: 3, error: 2, broken: 2, crash: 2, fails: 2, failing: 2, exception: 2, fix: 1, issue: 1, problem: 1, wrong: 1 }
+    },
+    feature: {
+      name: 'Feature',
+      priority: 'medium',
+      keywords: { feature: 3, implement: 2, add: 1, new: 1, create: 1, support: 1, allow: 1 }
+    },
+    improvement: {
+      name: 'Improvement',
+      priority: 'low',
+      keywords: { improve: 2, optimize: 2, enhance: 2, refactor: 2, faster: 1, better: 1, upgrade: 1, cleanup: 1 }
+    },
+    task: {
+      name: 'Task',
+      priority: 'medium',
+      keywords: { task: 2, todo: 2, setup: 1, configure: 1, update: 1, document: 1, docs: 1 }
+    }
+  },
+  defaultCategory: 'task',
+
+  // Phrases that set priority explicitly, checked from most urgent down;
+  // otherwise the category's default priority applies
+  priorityKeywords: {
+    urgent: ['urgent', 'asap', 'critical', 'emergency', 'outage', 'production down'],
+    high: ['crash', 'broken', 'security', 'blocker', 'data loss'],
+    low: ['low priority', 'when possible', 'nice to have', 'someday']
+  },
+
+  // Label vocabulary extracted from the text
+  labels: ['api', 'backend', 'database', 'frontend', 'performance', 'security', 'ui', 'ux'],
+
+  complexity: {
+    keywords: ['integration', 'architecture', 'database', 'migration', 'security', 'performance'],
+    mediumWords: 30,
+    highWords: 100
+  },
+
+  maxTitleLength: 80
+};
+
+// Other names for Plane priorities
+const PRIORITY_ALIASES = {
+  critical: 'urgent',
+  highest: 'urgent',
+  p0: 'urgent',
+  p1: 'high',
+  normal: 'medium',
+  p2: 'medium',
+  p3: 'low',
+  lowest: 'low',
+  minor: 'low'
+};
+
+// Map any priority spelling ('High', 'HIGH', 'critical') onto Plane's enum;
+// returns undefined when there is no sensible mapping
+function normalizePriority(value) {
+  if (value === undefined || value === null || value === '') return 'none';
+  const key = String(value).trim().toLowerCase();
+  if (PRIORITIES.includes(key)) return key;
+  return PRIORITY_ALIASES[key];
+}
+
+// Match whole words/phrases only, so "add" doesn't match "address";
+// simple inflections ("crashes", "fixed", "adding") still count
+function containsPhrase(lowerText, phrase) {
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(s|es|ed|d|ing)?\\b`).test(lowerText);
+}
+
+// Merge a partial taxonomy over the defaults and check the priority scale
+function buildTaxonomy(overrides = {}) {
+  const taxonomy = {
+    ...DEFAULT_TAXONOMY,
+    ...overrides,
+    categories: { ...DEFAULT_TAXONOMY.categories, ...overrides.categories },
+    priorityKeywords: { ...DEFAULT_TAXONOMY.priorityKeywords, ...overrides.priorityKeywords },
+    complexity: { ...DEFAULT_TAXONOMY.complexity, ...overrides.complexity }
+  };
+
+  const badPriorities = [
+    ...Object.keys(taxonomy.priorityKeywords),
+    ...Object.values(taxonomy.categories).map(c => c.priority)
+  ].filter(p => !PRIORITIES.includes(p));
+
+  if (badPriorities.length > 0) {
+    throw new Error(`Unknown priorities in taxonomy: ${badPriorities.join(', ')} (expected ${PRIORITIES.join('/')})`);
+  }
+  if (!taxonomy.categories[taxonomy.defaultCategory]) {
+    throw new Error(`Default category "${taxonomy.defaultCategory}" is not defined`);
+  }
+
+  return taxonomy;
+}
+
+// Load the taxonomy from $TICKET_TAXONOMY_FILE, if set
+function loadTaxonomy(file = config.get('analysis.taxonomyFile')) {
+  if (!file) return buildTaxonomy();
+  return buildTaxonomy(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+let defaultTaxonomy;
+function getDefaultTaxonomy() {
+  if (!defaultTaxonomy) defaultTaxonomy = loadTaxonomy();
+  return defaultTaxonomy;
+}
+
+// First sentence, trimmed to the maximum title length
+function deriveTitle(text, maxLength) {
+  let title = text.split(/[.\n]/)[0].trim();
+  if (title.length > maxLength) {
+    title = title.substring(0, maxLength - 3) + '...';
+  }
+  return title;
+}
+
+function categorize(lowerText, taxonomy) {
+  const scores = {};
+  for (const [key, category] of Object.entries(taxonomy.categories)) {
+    scores[key] = Object.entries(category.keywords)
+      .filter(([keyword]) => containsPhrase(lowerText, keyword))
+      .reduce((sum, [, weight]) => sum + weight, 0);
+  }
+
+  // Highest score wins; ties go to the category listed first
+  const [best, bestScore] = Object.entries(scores)
+    .reduce((top, entry) => (entry[1] > top[1] ? entry : top), [taxonomy.defaultCategory, 0]);
+
+  return { category: bestScore > 0 ? best : taxonomy.defaultCategory, scores };
+}
+
+function prioritize(lowerText, category, taxonomy) {
+  for (const priority of PRIORITIES) {
+    const phrases = taxonomy.priorityKeywords[priority] || [];
+    if (phrases.some(phrase => containsPhrase(lowerText, phrase))) {
+      return priority;
+    }
+  }
+  return taxonomy.categories[category].priority || 'none';
+}
+
+function extractLabels(lowerText, taxonomy) {
+  return taxonomy.labels.filter(label => containsPhrase(lowerText, label));
+}
+
+function estimateComplexity(text, lowerText, labels, taxonomy) {
+  const { keywords, mediumWords, highWords } = taxonomy.complexity;
+  const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+  if (wordCount > highWords || keywords.some(keyword => containsPhrase(lowerText, keyword))) {
+    return 'high';
+  }
+  if (wordCount > mediumWords || labels.length > 2) {
+    return 'medium';
+  }
+  return 'low';
+}
+
+// Analyze a ticket. `title` may be empty, in which case it is derived from
+// the description.
+function analyzeTicket({ title = '', description = '' }, taxonomy = getDefaultTaxonomy()) {
+  const text = `${title} ${description}`.trim();
+  const lowerText = text.toLowerCase();
+
+  const { category, scores } = categorize(lowerText, taxonomy);
+  const labels = extractLabels(lowerText, taxonomy);
+
+  return {
+    title: title || deriveTitle(description, taxonomy.maxTitleLength),
+    description,
+    category,
+    categoryName: taxonomy.categories[category].name,
+    priority: prioritize(lowerText, category, taxonomy),
+    complexity: estimateComplexity(text, lowerText, labels, taxonomy),
+    labels,
+    scores
+  };
+}
+
+// CLI usage
+if (require.main === module) {
+  const [,, ...args] = process.argv;
+
+  if (args.length === 0) {
+    console.log(`
+🧠 Ticket Analysis - Shared keyword classifier
+
+Usage:
+  node ticket-analysis.js "<description>"   # Analyze a description
+
+Set TICKET_TAXONOMY_FILE to a JSON file to override categories, keywords,
+priority phrases, labels or complexity thresholds.
+    `);
+  } else {
+    console.log(JSON.stringify(analyzeTicket({ description: args.join(' ') }), null, 2));
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  normalizePriority,
+  DEFAULT_TAXONOMY,
+  buildTaxonomy,
+  loadTaxonomy,
+  analyzeTicket
+};
@@ -0,0 +1,299 @@
+// Ticket import from CSV, JSONL and Markdown files
+// Every parser returns rows of { row, title, description, priority, labels, state }
+// where `row` is the 1-based position in the source file (line or record).
+const fs = require('fs');
+const path = require('path');
+const { PRIORITIES, normalizePriority } = require('./ticket-analysis');
+
+const MAX_TITLE_LENGTH = 255; // Plane's limit on issue names
+
+// Header names recognised without an explicit --map
+const DEFAULT_COLUMNS = {
+  title: ['title', 'name', 'summary', 'subject'],
+  description: ['description', 'body', 'details', 'content'],
+  priority: ['priority', 'severity'],
+  labels: ['labels', 'tags', 'label'],
+  state: ['state', 'status']
+};
+
+function detectFormat(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  if (ext === '.md' || ext === '.markdown') return 'md';
+  throw new Error(`Can't tell the format of ${file} - use --format csv|jsonl|md`);
+}
+
+// "a, b; c" → ['a', 'b', 'c']
+function splitLabels(value) {
+  if (Array.isArray(value)) return value.map(String).map(s => s.trim()).filter(Boolean);
+  if (!value) return [];
+  return String(value).split(/[,;|]/).map(s => s.trim()).filter(Boolean);
+}
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, newlines inside quotes
+function parseCSVRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+const isBlank = record => record.every(value => value.trim() === '');
+
+// Parse "--map title=Summary,labels=Tags" into { title: 'Summary', labels: 'Tags' }
+function parseColumnMap(spec) {
+  if (!spec) return {};
+  return Object.fromEntries(spec.split(',').map(pair => {
+    const [field, column] = pair.split('=').map(s => s.trim());
+    if (!DEFAULT_COLUMNS[field] || !column) {
+      throw new Error(`Invalid column mapping "${pair}" (fields: ${Object.keys(DEFAULT_COLUMNS).join(', ')})`);
+    }
+    return [field, column];
+  }));
+}
+
+function parseCSV(text, columnMap = {}) {
+  const [header, ...records] = parseCSVRecords(text);
+  if (!header || isBlank(header)) return [];
+
+  const headerIndex = new Map(header.map((name, index) => [name.trim().toLowerCase(), index]));
+
+  // Explicit mapping first, then well-known header names
+  const columns = {};
+  for (const [field, aliases] of Object.entries(DEFAULT_COLUMNS)) {
+    if (columnMap[field]) {
+      const index = headerIndex.get(columnMap[field].toLowerCase());
+      if (index === undefined) {
+        throw new Error(`Column "${columnMap[field]}" not found (columns: ${header.join(', ')})`);
+      }
+      columns[field] = index;
+    } else {
+      const alias = aliases.find(name => headerIndex.has(name));
+      if (alias) columns[field] = headerIndex.get(alias);
+    }
+  }
+
+  if (columns.title === undefined && columns.description === undefined) {
+    throw new Error(`No title or description column (columns: ${header.join(', ')}) - use --map title=<column>`);
+  }
+
+  const cell = (record, field) => (columns[field] === undefined ? '' : (record[columns[field]] || '').trim());
+
+  return records
+    .map((record, index) => ({
+      row: index + 2, // Header is row 1
+      title: cell(record, 'title'),
+      description: cell(record, 'description'),
+      priority: cell(record, 'priority') || undefined,
+      labels: splitLabels(cell(record, 'labels')),
+      state: cell(record, 'state') || undefined,
+      blank: isBlank(record)
+    }))
+    .filter(row => !row.blank)
+    .map(({ blank, ...row }) => row);
+}
+
+// One JSON object per line, e.g. { "title": ..., "body": ... } as in requests.jsonl
+function parseJSONL(text) {
+  const rows = [];
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      rows.push({ row: index + 1, title: '', description: '', labels: [], parseError: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      const got = record === null ? 'null' : Array.isArray(record) ? 'an array' : typeof record;
+      rows.push({ row: index + 1, title: '', description: '', labels: [], parseError: `Expected a JSON object, got ${got}` });
+      return;
+    }
+
+    rows.push({
+      row: index + 1,
+      title: String(record.title || record.name || '').trim(),
+      description: String(record.description || record.body || '').trim(),
+      priority: record.priority || undefined,
+      labels: splitLabels(record.labels || record.tags),
+      state: record.state || undefined,
+      ref: record.request_id || record.id
+    });
+  });
+
+  return rows;
+}
+
+// Unchecked checklist items ("- [ ] ...") become tickets. Without any, each
+// "##"/"###" heading becomes a ticket with the text below it as description.
+function parseMarkdown(text) {
+  const lines = text.split('\n');
+  const rows = [];
+
+  lines.forEach((line, index) => {
+    const match = line.match(/^\s*[-*+]\s+\[ \]\s+(.+)$/);
+    if (match) {
+      rows.push({ row: index + 1, title: match[1].trim(), description: '', labels: [] });
+    }
+  });
+
+  if (rows.length > 0) return rows;
+
+  let current = null;
+  lines.forEach((line, index) => {
+    const heading = line.match(/^(#{2,3})\s+(.+)$/);
+    if (heading) {
+      current = { row: index + 1, title: heading[2].trim(), description: '', labels: [] };
+      rows.push(current);
+    } else if (current && !/^#\s/.test(line)) {
+      current.description += line + '\n';
+    }
+  });
+
+  return rows.map(row => ({ ...row, description: row.description.trim() }));
+}
+
+// Read and parse an import file
+function readTickets(file, { format, map } = {}) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+
+  switch (format || detectFormat(file)) {
+    case 'csv':
+      return parseCSV(text, parseColumnMap(map));
+    case 'jsonl':
+      return parseJSONL(text);
+    case 'md':
+      return parseMarkdown(text);
+    default:
+      throw new Error(`Unknown format: ${format} (expected csv, jsonl or md)`);
+  }
+}
+
+// Split rows into ones that can be created and ones with problems
+function validateRows(rows) {
+  const valid = [];
+  const invalid = [];
+
+  for (const row of rows) {
+    const errors = [];
+
+    if (row.parseError) errors.push(row.parseError);
+    if (!row.title && !row.description) errors.push('missing title and description');
+    if (row.title && row.title.length > MAX_TITLE_LENGTH) errors.push(`title longer than ${MAX_TITLE_LENGTH} characters`);
+
+    const priority = row.priority === undefined ? undefined : normalizePriority(row.priority);
+    if (row.priority !== undefined && !priority) {
+      errors.push(`unknown priority "${row.priority}" (expected ${PRIORITIES.join('/')})`);
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ ...row, errors });
+    } else {
+      valid.push({ ...row, priority });
+    }
+  }
+
+  return { valid, invalid };
+}
+
+// Print rows as a fixed-width table
+function printPreview(valid, invalid) {
+  const truncate = (text, width) => (text.length > width ? text.substring(0, width - 1) + '…' : text);
+
+  console.log(`\n${'Row'.padEnd(5)} ${'Priority'.padEnd(8)} ${'Labels'.padEnd(20)} Title`);
+  console.log(`${'─'.repeat(5)} ${'─'.repeat(8)} ${'─'.repeat(20)} ${'─'.repeat(50)}`);
+  valid.forEach(row => {
+    console.log(`${String(row.row).padEnd(5)} ${(row.priority || 'auto').padEnd(8)} ${truncate(row.labels.join(',') || 'auto', 20).padEnd(20)} ${truncate(row.title || row.description, 60)}`);
+  });
+
+  if (invalid.length > 0) {
+    console.log(`\n⚠️  ${invalid.length} row(s) will be skipped:`);
+    invalid.forEach(row => console.log(`  Row ${row.row}: ${row.errors.join('; ')}`));
+  }
+  console.log('');
+}
+
+// Write the per-row results of an import as JSON
+function writeReport(reportFile, file, invalid, created) {
+  const rows = [
+    ...created.map(({ row, result }) => ({
+      row: row.row,
+      ref: row.ref,
+      title: row.title,
+      status: result.success ? 'created' : 'failed',
+      issueId: result.success ? result.ticket?.id : undefined,
+      sequenceId: result.success ? result.ticket?.sequence_id : undefined,
+      error: result.success ? undefined : result.error
+    })),
+    ...invalid.map(row => ({
+      row: row.row,
+      ref: row.ref,
+      title: row.title,
+      status: 'invalid',
+      error: row.errors.join('; ')
+    }))
+  ].sort((a, b) => a.row - b.row);
+
+  const report = {
+    file: path.resolve(file),
+    importedAt: new Date().toISOString(),
+    created: rows.filter(r => r.status === 'created').length,
+    failed: rows.filter(r => r.status === 'failed').length,
+    invalid: rows.filter(r => r.status === 'invalid').length,
+    rows
+  };
+
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  return report;
+}
+
+module.exports = {
+  detectFormat,
+  parseCSV,
+  parseJSONL,
+  parseMarkdown,
+  readTickets,
+  validateRows,
+  printPreview,
+  writeReport
+};
@@ -0,0 +1,262 @@
+// Read secrets from Vaultwarden through its Bitwarden-compatible API
+// Items are fetched encrypted and decrypted locally with the master
+// password; nothing is decrypted server-side and nothing is written to disk.
+const crypto = require('crypto');
+const fs = require('fs');
+const { config } = require('./config');
+
+const SECRETS_MAP_FILE = config.get('vaultwarden.secretsMap');
+
+// Bitwarden device type "Linux CLI"
+const DEVICE_TYPE = '25';
+const DEVICE_NAME = 'indigo-railway-agent';
+
+// Bitwarden KDF types
+const KDF_PBKDF2 = 0;
+const KDF_ARGON2ID = 1;
+
+// Login fields a reference can name; anything else is a custom field
+const LOGIN_FIELDS = ['username', 'password', 'totp', 'notes'];
+
+// HKDF-Expand only (Bitwarden stretches the master key without extract)
+function hkdfExpand(key, info) {
+  return crypto.createHmac('sha256', key).update(Buffer.concat([Buffer.from(info), Buffer.from([1])])).digest();
+}
+
+// 32-byte key → { encKey, macKey }; 64-byte key → split in half
+function splitKey(key) {
+  if (key.length === 64) return { encKey: key.subarray(0, 32), macKey: key.subarray(32) };
+  return { encKey: hkdfExpand(key, 'enc'), macKey: hkdfExpand(key, 'mac') };
+}
+
+// Decrypt a Bitwarden EncString ("2.iv|data|mac", "4.data", ...)
+// key is { encKey, macKey } for AES types and { privateKey } for RSA types
+function decrypt(encString, key) {
+  if (!encString) return null;
+
+  const dot = encString.indexOf('.');
+  const type = Number(encString.slice(0, dot));
+  const parts = encString.slice(dot + 1).split('|').map(part => Buffer.from(part, 'base64'));
+
+  if (type === 2) {
+    const [iv, data, mac] = parts;
+    const expected = crypto.createHmac('sha256', key.macKey).update(Buffer.concat([iv, data])).digest();
+    if (!mac || !crypto.timingSafeEqual(expected, mac)) {
+      throw new Error('Vault data failed its integrity check (wrong master password?)');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key.encKey, iv);
+    return Buffer.concat([decipher.update(data), decipher.final()]);
+  }
+
+  if (type >= 3 && type <= 6) {
+    return crypto.privateDecrypt({
+      key: key.privateKey,
+      padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+      oaepHash: type === 3 || type === 5 ? 'sha256' : 'sha1'
+    }, parts[0]);
+  }
+
+  throw new Error(`Unsupported encryption type ${type}`);
+}
+
+function decryptText(encString, key) {
+  const value = decrypt(encString, key);
+  return value === null ? null : value.toString('utf8');
+}
+
+// Master key from the master password, using the account's KDF settings
+function deriveMasterKey(password, email, kdf) {
+  if (kdf.type === KDF_PBKDF2) {
+    return crypto.pbkdf2Sync(password, email, kdf.iterations, 32, 'sha256');
+  }
+
+  if (kdf.type === KDF_ARGON2ID && crypto.argon2Sync) {
+    return crypto.argon2Sync('argon2id', {
+      message: password,
+      nonce: crypto.createHash('sha256').update(email).digest(),
+      passes: kdf.iterations,
+      memory: kdf.memory * 1024,
+      parallelism: kdf.parallelism,
+      tagLength: 32
+    });
+  }
+
+  throw new Error(kdf.type === KDF_ARGON2ID
+    ? 'This account uses Argon2id, which needs Node.js 24.7+; switch it to PBKDF2 in the web vault or upgrade Node'
+    : `Unsupported KDF type ${kdf.type}`);
+}
+
+class VaultwardenClient {
+  // Options (default to config.js settings): url, email, password (master password),
+  // clientId/clientSecret (personal API key - required when the account
+  // uses two-step login)
+  constructor(options = {}) {
+    this.url = (options.url || config.get('vaultwarden.url') || '').replace(/\/$/, '');
+    this.email = (options.email || config.get('vaultwarden.email') || '').trim().toLowerCase();
+    this.password = options.password || config.get('vaultwarden.password');
+    this.clientId = options.clientId || config.get('vaultwarden.clientId');
+    this.clientSecret = options.clientSecret || config.get('vaultwarden.clientSecret');
+    // Same device on every run, so Vaultwarden doesn't report a new login each time
+    this.deviceId = crypto.createHash('sha256').update(`${DEVICE_NAME}:${this.email}`).digest('hex')
+      .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12}).*$/, '$1-$2-$3-$4-$5');
+    this.items = null;
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.url}${path}`, options);
+    const text = await response.text();
+
+    if (!response.ok) {
+      let message = text.substring(0, 200);
+      try {
+        const body = JSON.parse(text);
+        message = body.error_description || body.message || body.error || message;
+      } catch (error) {
+        // Not JSON; keep the raw text
+      }
+      throw new Error(`Vaultwarden API error ${response.status}: ${message}`);
+    }
+
+    return JSON.parse(text);
+  }
+
+  async getKdf() {
+    const data = await this.request('/identity/accounts/prelogin', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: this.email })
+    });
+    return {
+      type: data.kdf ?? data.Kdf ?? KDF_PBKDF2,
+      iterations: data.kdfIterations ?? data.KdfIterations,
+      memory: data.kdfMemory ?? data.KdfMemory,
+      parallelism: data.kdfParallelism ?? data.KdfParallelism
+    };
+  }
+
+  // Log in and derive the master key; returns the access token
+  async login() {
+    if (!this.url || !this.email || !this.password) {
+      throw new Error('Set VAULTWARDEN_URL, VAULTWARDEN_EMAIL and VAULTWARDEN_PASSWORD');
+    }
+
+    this.masterKey = deriveMasterKey(this.password, this.email, await this.getKdf());
+
+    const form = {
+      scope: 'api',
+      deviceType: DEVICE_TYPE,
+      deviceIdentifier: this.deviceId,
+      deviceName: DEVICE_NAME
+    };
+    if (this.clientId && this.clientSecret) {
+      Object.assign(form, { grant_type: 'client_credentials', client_id: this.clientId, client_secret: this.clientSecret });
+    } else {
+      Object.assign(form, {
+        grant_type: 'password',
+        client_id: 'cli',
+        username: this.email,
+        password: crypto.pbkdf2Sync(this.masterKey, this.password, 1, 32, 'sha256').toString('base64')
+      });
+    }
+
+    const token = await this.request('/identity/connect/token', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(form).toString()
+    });
+    return token.access_token;
+  }
+
+  // Every login and secure note in the vault (personal and organization),
+  // decrypted: [{ id, name, folder, username, password, totp, notes, fields }]
+  async getItems() {
+    if (this.items) return this.items;
+
+    const accessToken = await this.login();
+    const sync = await this.request('/api/sync?excludeDomains=true', {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+
+    // Master key → user key → (RSA private key → organization keys)
+    const userKey = splitKey(decrypt(sync.profile.key, splitKey(this.masterKey)));
+    const orgKeys = {};
+    if (sync.profile.privateKey) {
+      const privateKey = crypto.createPrivateKey({
+        key: decrypt(sync.profile.privateKey, userKey),
+        format: 'der',
+        type: 'pkcs8'
+      });
+      for (const org of sync.profile.organizations || []) {
+        orgKeys[org.id] = splitKey(decrypt(org.key, { privateKey }));
+      }
+    }
+
+    const folders = Object.fromEntries((sync.folders || []).map(f => [f.id, decryptText(f.name, userKey)]));
+
+    this.items = (sync.ciphers || [])
+      .filter(cipher => !cipher.deletedDate)
+      .map(cipher => {
+        let key = cipher.organizationId ? orgKeys[cipher.organizationId] : userKey;
+        if (!key) throw new Error(`No key for organization ${cipher.organizationId}`);
+        if (cipher.key) key = splitKey(decrypt(cipher.key, key));
+
+        const login = cipher.login || {};
+        return {
+          id: cipher.id,
+          name: decryptText(cipher.name, key),
+          folder: folders[cipher.folderId] || null,
+          username: decryptText(login.username, key),
+          password: decryptText(login.password, key),
+          totp: decryptText(login.totp, key),
+          notes: decryptText(cipher.notes, key),
+          fields: Object.fromEntries((cipher.fields || []).map(f => [decryptText(f.name, key), decryptText(f.value, key)]))
+        };
+      });
+
+    return this.items;
+  }
+
+  // Resolve "Item name" (its password), "Item name#field" or "<item-id>#field".
+  // field is username, password, totp, notes or a custom field name.
+  async getSecret(reference) {
+    const hash = reference.lastIndexOf('#');
+    const itemRef = hash === -1 ? reference : reference.slice(0, hash);
+    const field = hash === -1 ? 'password' : reference.slice(hash + 1);
+
+    const items = await this.getItems();
+    const matches = items.filter(item => item.id === itemRef || item.name === itemRef);
+    if (matches.length === 0) throw new Error(`No vault item named "${itemRef}"`);
+    if (matches.length > 1) throw new Error(`${matches.length} vault items are named "${itemRef}"; use the item ID`);
+
+    const [item] = matches;
+    const value = LOGIN_FIELDS.includes(field) ? item[field] : item.fields[field];
+    if (value === null || value === undefined) throw new Error(`Vault item "${item.name}" has no ${field}`);
+    return value;
+  }
+}
+
+// Which vault secret feeds which Railway variable:
+// { project, environment, services: { <service>: { VARIABLE: "Item#field" } } }
+function loadSecretsMap(file = SECRETS_MAP_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Secrets map ${file} not found (see secrets.example.json)`);
+  }
+
+  const map = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!map.project || !map.services || typeof map.services !== 'object') {
+    throw new Error(`${file}: expected "project" and "services"`);
+  }
+  for (const [service, variables] of Object.entries(map.services)) {
+    for (const [name, reference] of Object.entries(variables)) {
+      if (typeof reference !== 'string' || !reference) {
+        throw new Error(`${file}: ${service}.${name} must be a vault reference like "Item name#field"`);
+      }
+    }
+  }
+  return map;
+}
+
+module.exports = {
+  VaultwardenClient,
+  loadSecretsMap
+};
@@ -0,0 +1,217 @@
+// Express app for Plane and Railway webhooks, built from injected clients
+// createApp() doesn't listen, load or watch the rules, or resume events left
+// in the queue - index.js does - so the app can be driven directly with fake
+// clients.
+const express = require('express');
+const { captureRawBody, verifyPlaneSignature, verifyRailwayToken } = require('../webhook-signature');
+const EventQueue = require('../event-queue');
+const { RuleEngine } = require('../rule-engine');
+const { CommandBot } = require('../bot-commands');
+const { createAnalysisProvider } = require('../analysis-provider');
+const { config } = require('../config');
+const { resolveIssueContext } = require('./handlers/context');
+const { createEventProcessor } = require('./handlers');
+const { parseRailwayEvent, deploymentEventType } = require('./handlers/railway');
+
+// deps: planeAgent (required), railwayAgent (null disables Railway actions),
+// analysisProvider, ruleEngine, commandBot, workspaceSlug (fallback when
+// payloads don't carry one), deploymentsProject (Plane project of deployment
+// tickets), productionEnvironment (Railway environment whose deploys move
+// mentioned issues to Done), rulesDryRun, queueOptions (EventQueue options), signature
+// (verifyPlaneSignature options) and railwayWebhook (verifyRailwayToken options).
+// The event queue, rule engine and processEvent are exposed on app.locals.
+function createApp(deps = {}) {
+  const { planeAgent, railwayAgent = null } = deps;
+  if (!planeAgent) throw new Error('createApp needs a planeAgent');
+
+  const workspaceSlug = deps.workspaceSlug !== undefined ? deps.workspaceSlug : config.get('plane.workspace');
+  const deploymentsProject = deps.deploymentsProject !== undefined
+    ? deps.deploymentsProject
+    : config.get('plane.deploymentsProject');
+  const productionEnvironment = deps.productionEnvironment || config.get('railway.productionEnvironment');
+  const resolveContext = payload => resolveIssueContext(planeAgent, payload, workspaceSlug);
+  const analysisProvider = deps.analysisProvider || createAnalysisProvider();
+  const ruleEngine = deps.ruleEngine || new RuleEngine({
+    planeAgent,
+    railwayAgent,
+    resolveContext,
+    dryRun: deps.rulesDryRun
+  });
+  const commandBot = deps.commandBot || new CommandBot({
+    planeAgent,
+    railwayAgent,
+    analysisProvider,
+    resolveContext
+  });
+
+  const processEvent = createEventProcessor({
+    planeAgent,
+    railwayAgent,
+    analysisProvider,
+    ruleEngine,
+    commandBot,
+    resolveContext,
+    workspaceSlug,
+    deploymentsProject,
+    productionEnvironment
+  });
+  const eventQueue = new EventQueue(processEvent, deps.queueOptions);
+
+  const app = express();
+  Object.assign(app.locals, { eventQueue, ruleEngine, processEvent });
+
+  // Persist an event and acknowledge it (202 queued, 200 duplicate). A 500
+  // means it wasn't stored, so the sender retries the delivery.
+  const queueDelivery = (res, deliveryId, event) => {
+    try {
+      const queued = eventQueue.enqueue(deliveryId, event);
+
+      if (!queued) {
+        console.log(`🔁 Delivery ${deliveryId} already accepted, skipping`);
+      }
+
+      res.status(queued ? 202 : 200).json({
+        status: queued ? 'queued' : 'duplicate',
+        event: event.event_type,
+        delivery: deliveryId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error queueing webhook:', error);
+      res.status(500).json({
+        status: 'error',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  };
+
+  // Middleware
+  app.use(express.json({ verify: captureRawBody }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  // Main webhook endpoint for Plane events
+  // Deliveries are persisted and acknowledged immediately; the queue worker
+  // processes them with retries (see handlers/index.js)
+  // Replays are checked against the queue's record of deliveries, which
+  // survives restarts
+  const verifyPlane = verifyPlaneSignature({
+    isKnownDelivery: deliveryId => eventQueue.deliveryStatus(deliveryId) !== null,
+    ...deps.signature
+  });
+
+  app.post('/plane-webhook', verifyPlane, (req, res) => {
+    const { event_type } = req.body;
+    const deliveryId = req.get('X-Plane-Delivery') || EventQueue.deliveryIdFor(req.rawBody);
+
+    console.log(`\n🚀 [${new Date().toISOString()}] Received Plane event: ${event_type} (${deliveryId})`);
+
+    // Webhooks registered for some projects only carry ?projects=<id>,<id>
+    // (see setup-webhooks.js --project)
+    const projects = req.query.projects ? String(req.query.projects).split(',') : null;
+    const projectId = req.body.data?.project_id || req.body.data?.project;
+    if (projects && projectId && !projects.includes(projectId)) {
+      console.log(`⏭️  Project ${projectId} is not subscribed, ignoring`);
+      return res.status(200).json({
+        status: 'ignored',
+        reason: 'project not subscribed',
+        delivery: deliveryId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    queueDelivery(res, deliveryId, req.body);
+  });
+
+  // Railway deployment webhook; the URL carries ?token=<RAILWAY_WEBHOOK_SECRET>
+  // Finished deployments are queued like Plane events and reported on the
+  // Plane issues linked to them (see handlers/railway.js)
+  app.post('/railway-webhook', verifyRailwayToken(deps.railwayWebhook), (req, res) => {
+    const deployment = parseRailwayEvent(req.body);
+
+    console.log(`\n🚂 [${new Date().toISOString()}] Received Railway event: ${req.body.type} ${deployment.status} (${deployment.deploymentId})`);
+
+    if (!deployment.deploymentId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Not a Railway deployment event',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Building, deploying and removed deployments aren't reported
+    const eventType = deploymentEventType(deployment.status);
+    if (!eventType) {
+      return res.status(200).json({
+        status: 'ignored',
+        reason: `deployment status ${deployment.status || 'unknown'} is not reported`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Railway retries with the same deployment and status, never a delivery ID
+    const deliveryId = `railway-${deployment.deploymentId}-${deployment.status}`;
+    queueDelivery(res, deliveryId, { event_type: eventType, data: deployment });
+  });
+
+  // Queue status (counts only, no payloads)
+  app.get('/queue', (req, res) => {
+    res.json({
+      ...eventQueue.stats(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Processing status of one delivery (used by setup-webhooks.js test)
+  app.get('/queue/:deliveryId', (req, res) => {
+    const status = eventQueue.deliveryStatus(req.params.deliveryId);
+    res.status(status ? 200 : 404).json({
+      delivery: req.params.deliveryId,
+      status: status || 'unknown',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Generic webhook for testing
+  app.post('/webhook', async (req, res) => {
+    console.log(`\n🔔 [${new Date().toISOString()}] Generic webhook received`);
+    console.log('📦 Payload:', JSON.stringify(req.body, null, 2));
+    res.status(200).json({ status: 'received', timestamp: new Date().toISOString() });
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      service: 'indigo-webhook-handler',
+      uptime: process.uptime(),
+      version: '1.0.0'
+    });
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      service: 'Indigo Webhook Handler',
+      description: 'AI-powered webhook handler for Plane collaboration events and Railway deployments',
+      endpoints: {
+        '/plane-webhook': 'POST - Plane event webhook',
+        '/railway-webhook': 'POST - Railway deployment webhook',
+        '/webhook': 'POST - Generic webhook for testing',
+        '/queue': 'GET - Event queue status',
+        '/queue/:deliveryId': 'GET - Processing status of one delivery',
+        '/health': 'GET - Health check'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,119 @@
+// issue_comment.* events: slash commands, sentiment and action items
+const PlaneAgent = require('../../plane-agent');
+const { CommandBot } = require('../../bot-commands');
+const { extractActionItems, itemDescriptionHtml, itemKey } = require('../../action-items');
+const { escapeHtml } = require('../../html');
+
+// deps: planeAgent, commandBot, resolveContext (see app.js)
+async function handleCommentCreated(data, deps) {
+  console.log('💬 New comment added');
+
+  // Never react to our own comments (comment → webhook → comment loop)
+  if (PlaneAgent.isAgentComment(data)) {
+    console.log('🤖 Skipping comment posted by the agent');
+    return;
+  }
+
+  // "/priority urgent" and friends; a command comment gets no other processing
+  if (await deps.commandBot.handle(data)) {
+    return;
+  }
+
+  // Analyze sentiment, extract action items
+  const sentiment = analyzeSentiment(data.comment_stripped || data.comment || '');
+  console.log('😊 Comment sentiment:', sentiment);
+
+  await createActionItems(data, deps);
+}
+
+async function handleCommentUpdated(data, deps) {
+  console.log('✏️  Comment edited');
+
+  if (PlaneAgent.isAgentComment(data)) {
+    console.log('🤖 Skipping comment posted by the agent');
+    return;
+  }
+
+  // Commands only run when posted, not when edited
+  if (CommandBot.isCommand(data)) {
+    return;
+  }
+
+  // Items that already have sub-issues from the earlier version are skipped
+  await createActionItems(data, deps);
+}
+
+// Create each action item in a comment as a sub-issue of the commented
+// issue, then reply with the list. Sub-issues carry an external ID derived
+// from the item text, so retries and comment edits never create one twice.
+async function createActionItems(comment, { planeAgent, resolveContext }) {
+  const items = extractActionItems(comment);
+  if (items.length === 0) return;
+
+  const { workspaceSlug, projectId, issueId } = await resolveContext(comment);
+  if (!workspaceSlug || !projectId || !issueId) {
+    console.log('⚠️  Cannot create action items: missing workspace, project or issue ID');
+    return;
+  }
+
+  console.log(`📝 Found ${items.length} action item(s) in comment`);
+
+  const results = [];
+  for (const item of items) {
+    const key = itemKey(issueId, item.title);
+    let assignee;
+    if (item.mention) {
+      assignee = await planeAgent.resolveMemberId(workspaceSlug, projectId, item.mention).catch(error => {
+        console.log(`⚠️  Could not resolve @${item.mention}: ${error.message}`);
+        return undefined;
+      });
+    }
+
+    const { issue, created } = await planeAgent.createSubIssue(workspaceSlug, projectId, issueId, {
+      name: item.title,
+      description_html: itemDescriptionHtml(item),
+      assignees: assignee ? [assignee] : []
+    }, key);
+    results.push({ ...item, key, issue, created, assignee });
+  }
+
+  // One summary per distinct set of items, so a retry or an edit that adds
+  // nothing new doesn't post it again
+  const kind = `action-items-${itemKey(issueId, results.map(r => r.key).sort().join(','))}`;
+  if (await planeAgent.hasAgentComment(workspaceSlug, projectId, issueId, kind)) {
+    console.log('⏭️  Action items already summarised');
+    return;
+  }
+
+  const summary = `📝 **Action items from this comment:**
+${results.map(r => {
+    const ref = r.issue.sequence_id ? `#${r.issue.sequence_id} ` : '';
+    const status = r.created ? 'created' : 'already tracked';
+    return `- ${ref}${escapeHtml(r.title)} (${status}${r.assignee ? ', assigned' : ''})`;
+  }).join('\n')}
+
+*Sub-issues were created automatically from the comment text.*`;
+
+  await planeAgent.addComment(workspaceSlug, projectId, issueId, PlaneAgent.withMarker(summary, kind));
+  console.log(`✅ ${results.filter(r => r.created).length} sub-issue(s) created from action items`);
+}
+
+function analyzeSentiment(comment) {
+  const positiveWords = ['good', 'great', 'excellent', 'perfect', 'awesome', 'love'];
+  const negativeWords = ['bad', 'terrible', 'awful', 'hate', 'problem', 'issue'];
+
+  const lowerComment = comment.toLowerCase();
+  const positive = positiveWords.some(word => lowerComment.includes(word));
+  const negative = negativeWords.some(word => lowerComment.includes(word));
+
+  if (positive && !negative) return 'POSITIVE';
+  if (negative && !positive) return 'NEGATIVE';
+  return 'NEUTRAL';
+}
+
+module.exports = {
+  handleCommentCreated,
+  handleCommentUpdated,
+  createActionItems,
+  analyzeSentiment
+};
@@ -0,0 +1,15 @@
+// Where a Plane payload lives: workspace slug, project and issue IDs
+
+// Resolve the workspace slug, project and issue IDs from a Plane issue or
+// comment payload (comments carry their issue's ID in `issue`)
+async function resolveIssueContext(planeAgent, payload, workspaceSlug) {
+  return {
+    workspaceSlug: payload.workspace_detail?.slug
+      || workspaceSlug
+      || await planeAgent.getWorkspaceSlug(payload.workspace),
+    projectId: payload.project_id || payload.project,
+    issueId: payload.issue || payload.id
+  };
+}
+
+module.exports = { resolveIssueContext };
@@ -0,0 +1,57 @@
+// Event type → handler, and the queue worker that runs them
+const PlaneAgent = require('../../plane-agent');
+const { handleIssueCreated, handleIssueUpdated } = require('./issues');
+const { handleCommentCreated, handleCommentUpdated } = require('./comments');
+const { handleProjectCreated, handleCycleCreated } = require('./projects');
+const { handleDeploymentFinished } = require('./railway');
+
+// Every handler is called as handler(data, deps)
+const EVENT_HANDLERS = {
+  'issue.created': handleIssueCreated,
+  'issue.updated': handleIssueUpdated,
+  'issue_comment.created': handleCommentCreated,
+  'issue_comment.updated': handleCommentUpdated,
+  'project.created': handleProjectCreated,
+  'cycle.created': handleCycleCreated,
+  // Railway deployments, queued by POST /railway-webhook
+  'deployment.succeeded': handleDeploymentFinished,
+  'deployment.failed': handleDeploymentFinished
+};
+
+// Process one queued event, then run the rules; throwing makes the queue
+// retry it. The handler and each rule action are steps of the delivery
+// (context from EventQueue.contextFor): a retry skips the ones that already
+// succeeded, so e.g. a railway_redeploy doesn't run twice.
+// deps: planeAgent, railwayAgent, analysisProvider, commandBot, ruleEngine,
+// resolveContext, workspaceSlug, deploymentsProject, productionEnvironment
+// (see app.js)
+function createEventProcessor(deps) {
+  return async function processEvent({ event_type = '', data = {} }, context = {}) {
+    const { isDone = () => false, markDone = () => {} } = context;
+    console.log(`⚙️  Processing event: ${event_type}`);
+    console.log('📊 Event data:', JSON.stringify(data, null, 2));
+
+    const handler = EVENT_HANDLERS[event_type];
+    if (!handler) {
+      console.log(`📝 Unhandled event type: ${event_type}`);
+    } else if (isDone('handler')) {
+      console.log('⏭️  Handler already ran in an earlier attempt');
+    } else {
+      await handler(data, deps);
+      markDone('handler');
+    }
+
+    // Never let rules react to the agent's own comments
+    if (event_type.startsWith('issue_comment') && PlaneAgent.isAgentComment(data)) {
+      return;
+    }
+
+    const results = await deps.ruleEngine.run(event_type, data, { isDone, markDone });
+    const failed = results.filter(r => r.status === 'failed');
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} rule action(s) failed: ${failed.map(r => r.error).join('; ')}`);
+    }
+  };
+}
+
+module.exports = { EVENT_HANDLERS, createEventProcessor };
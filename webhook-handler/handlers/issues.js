@@ -0,0 +1,93 @@
+// issue.* events: AI analysis comment, duplicate suggestions, progress
+const PlaneAgent = require('../../plane-agent');
+const { escapeHtml } = require('../../html');
+
+// deps: planeAgent, analysisProvider, resolveContext (see app.js)
+async function handleIssueCreated(data, deps) {
+  console.log('🎯 New issue created:', data.name || data.title);
+
+  // Generate AI analysis
+  const analysis = await generateIssueAnalysis(data, deps);
+  console.log(`🧠 AI Analysis generated (${analysis.provider}):`, analysis.categoryName, analysis.priority);
+
+  // Safe to retry: the comment is only posted once per issue
+  await addAIAnalysisComment(data, analysis, deps);
+
+  // Point at existing issues that look like the same problem
+  await suggestDuplicates(data, deps);
+}
+
+async function handleIssueUpdated(data) {
+  console.log('🔄 Issue updated:', data.name || data.title);
+
+  // Track progress patterns, suggest next actions
+  const progress = analyzeProgress(data);
+  console.log('📈 Progress analysis:', progress);
+}
+
+// Post the analysis back to the issue, at most once per issue
+async function addAIAnalysisComment(issue, analysis, { planeAgent, resolveContext }) {
+  const { workspaceSlug, projectId, issueId } = await resolveContext(issue);
+
+  if (!workspaceSlug || !projectId || !issueId) {
+    console.log('⚠️  Cannot comment: missing workspace, project or issue ID');
+    return;
+  }
+
+  if (await planeAgent.hasAgentComment(workspaceSlug, projectId, issueId, 'ai-analysis')) {
+    console.log('⏭️  AI analysis already posted on this issue');
+    return;
+  }
+
+  const comment = `🤖 **AI Analysis:**
+
+**Category:** ${analysis.categoryName}
+**Estimated Complexity:** ${analysis.complexity}
+**Suggested Priority:** ${analysis.priority}
+**Auto-generated Tags:** ${analysis.labels.join(', ') || 'none'}
+${analysis.acceptanceCriteria.length > 0 ? `
+**Suggested Acceptance Criteria:**
+${analysis.acceptanceCriteria.map(item => `- ${item}`).join('\n')}
+` : ''}
+*This analysis was generated automatically. Please review and adjust as needed.*`;
+
+  // Criteria and tags can come from an LLM: escape before posting as HTML
+  await planeAgent.addComment(workspaceSlug, projectId, issueId, PlaneAgent.withMarker(escapeHtml(comment), 'ai-analysis'));
+  console.log('💬 AI analysis comment added to issue');
+}
+
+// Comment "possible duplicate of ..." when similar issues already exist
+async function suggestDuplicates(issue, { planeAgent, resolveContext }) {
+  const { workspaceSlug, projectId, issueId } = await resolveContext(issue);
+
+  if (!workspaceSlug || !projectId || !issueId) {
+    console.log('⚠️  Cannot check duplicates: missing workspace, project or issue ID');
+    return;
+  }
+
+  await planeAgent.flagDuplicates(workspaceSlug, projectId, { ...issue, id: issueId });
+}
+
+// AI Helper Functions
+// Uses the configured provider (heuristics, or an LLM with heuristic fallback)
+async function generateIssueAnalysis(issue, { analysisProvider }) {
+  return analysisProvider.analyze({
+    title: issue.name || issue.title || '',
+    description: issue.description_stripped || issue.description || issue.content || ''
+  });
+}
+
+function analyzeProgress(data) {
+  // Simple progress analysis based on status changes
+  return {
+    stage: data.state || 'unknown',
+    velocity: 'normal',
+    blockers: []
+  };
+}
+
+module.exports = {
+  handleIssueCreated,
+  handleIssueUpdated,
+  analyzeProgress
+};
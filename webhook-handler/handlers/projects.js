@@ -0,0 +1,20 @@
+// project.* and cycle.* events
+
+async function handleProjectCreated(data) {
+  console.log('📁 New project created:', data.name);
+
+  // Could auto-setup project templates, create initial issues
+  console.log('🏗️  Project initialization suggestions generated');
+}
+
+async function handleCycleCreated(data) {
+  console.log('🔄 New cycle/sprint created:', data.name);
+
+  // Could analyze sprint scope, suggest improvements
+  console.log('🎯 Sprint analysis ready');
+}
+
+module.exports = {
+  handleProjectCreated,
+  handleCycleCreated
+};
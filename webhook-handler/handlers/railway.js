@@ -0,0 +1,215 @@
+// Railway deployment events (POST /railway-webhook): report finished
+// deployments on the Plane issues linked to them
+const PlaneAgent = require('../../plane-agent');
+const RailwayAgent = require('../../railway-agent');
+const { PlaneMappingError } = require('../../plane-errors');
+const { escapeHtml } = require('../../html');
+
+// Issue keys such as IND-123 in a commit message. UTF-8, SHA-256 and the
+// like match too, so keys are checked against the workspace's projects.
+const ISSUE_KEY_PATTERN = /\b([A-Z][A-Z0-9]{1,11})-\d+\b/g;
+
+// Finished deployment statuses that are reported, and the ticket stage each
+// one moves the deployment ticket issue to (see RailwayAgent.ticketStates)
+const REPORTED_STATUSES = {
+  SUCCESS: 'completed',
+  FAILED: 'failed',
+  CRASHED: 'failed'
+};
+
+// Newer Railway payloads carry the outcome in the event type instead
+const TYPE_STATUSES = {
+  'Deployment.deployed': 'SUCCESS',
+  'Deployment.failed': 'FAILED',
+  'Deployment.crashed': 'CRASHED'
+};
+
+// Plane states for issues whose commit was deployed (names or groups)
+const DEPLOYED_STATES = ['Done', 'completed'];
+
+// Flatten a Railway webhook payload. Both the older format
+// ({ type: 'DEPLOY', status, deployment: { id, meta }, service, ... }) and the
+// newer one ({ type: 'Deployment.failed', details, resource: { deployment, ... } })
+// are understood.
+function parseRailwayEvent(body = {}) {
+  const resource = body.resource || body;
+  const details = body.details || {};
+  const meta = body.deployment?.meta || {};
+  const status = body.status || details.status || TYPE_STATUSES[body.type] || '';
+
+  return {
+    type: body.type,
+    deploymentId: resource.deployment?.id || details.deploymentId,
+    status: String(status).toUpperCase(),
+    project: resource.project?.name,
+    service: resource.service?.name,
+    environment: resource.environment?.name,
+    commitSha: meta.commitHash || meta.commitSha || details.commitHash,
+    commitMessage: meta.commitMessage || details.commitMessage || '',
+    timestamp: body.timestamp
+  };
+}
+
+// Queue event type for a deployment status, or null when it isn't reported
+function deploymentEventType(status) {
+  const stage = REPORTED_STATUSES[status];
+  if (!stage) return null;
+  return stage === 'completed' ? 'deployment.succeeded' : 'deployment.failed';
+}
+
+// Issue keys referenced in a commit message, without duplicates; with
+// project identifiers (e.g. ['IND', 'OPS']) only keys of those projects
+function issueKeys(commitMessage, identifiers) {
+  const keys = [...String(commitMessage || '').matchAll(ISSUE_KEY_PATTERN)]
+    .filter(([, identifier]) => !identifiers || identifiers.includes(identifier))
+    .map(([key]) => key);
+  return [...new Set(keys)];
+}
+
+// Issue keys in the commit message that belong to the workspace's projects
+async function workspaceIssueKeys(planeAgent, workspaceSlug, commitMessage) {
+  if (issueKeys(commitMessage).length === 0) return [];
+  const projects = await planeAgent.getProjects(workspaceSlug);
+  return issueKeys(commitMessage, projects.map(p => p.identifier).filter(Boolean));
+}
+
+// deployment.succeeded and deployment.failed
+// deps: planeAgent, railwayAgent (null skips the status check),
+// workspaceSlug, deploymentsProject, productionEnvironment (see app.js)
+async function handleDeploymentFinished(data, deps) {
+  const { planeAgent, workspaceSlug, deploymentsProject, productionEnvironment = 'production' } = deps;
+  console.log(`🚂 Railway deployment ${data.deploymentId} finished: ${data.status}`);
+
+  if (!workspaceSlug) {
+    console.log('⚠️  Cannot report Railway deployments: no Plane workspace (PLANE_WORKSPACE_SLUG)');
+    return;
+  }
+
+  const deployment = await confirmDeployment(data, deps.railwayAgent);
+  if (!deployment) return;
+
+  const stage = REPORTED_STATUSES[deployment.status];
+  const comment = deploymentComment(deployment, stage);
+  const kind = `railway-deployment-${deployment.deploymentId}-${deployment.status}`;
+  const reported = new Set();
+
+  // The deployment ticket issue, linked by RailwayAgent.linkPlaneIssue
+  if (deploymentsProject) {
+    const ticket = await RailwayAgent.findTicketIssue(planeAgent, workspaceSlug, deploymentsProject, deployment.deploymentId);
+    if (ticket) {
+      // railway-agent.js may have reported the outcome itself while waiting
+      await reportOnIssue(planeAgent, workspaceSlug, deploymentsProject, ticket, {
+        comment,
+        kinds: [kind, `railway-${stage}`],
+        states: RailwayAgent.ticketStates(stage)
+      });
+      reported.add(ticket.id);
+    }
+  }
+
+  // Issues the commit message refers to; only a successful production
+  // deploy moves them, other environments just comment
+  const isProduction = String(deployment.environment || '').toLowerCase() === productionEnvironment.toLowerCase();
+  const states = stage === 'completed' && isProduction ? DEPLOYED_STATES : null;
+  const keys = await workspaceIssueKeys(planeAgent, workspaceSlug, deployment.commitMessage);
+  if (keys.length > 0 && stage === 'completed' && !isProduction) {
+    console.log(`ℹ️  Deployed to ${deployment.environment || 'an unknown environment'}, not ${productionEnvironment} - commenting without moving issues`);
+  }
+
+  for (const key of keys) {
+    const issue = await planeAgent.getIssueByKey(workspaceSlug, key);
+    if (!issue) {
+      console.log(`⚠️  Commit refers to ${key}, which is not a Plane issue`);
+      continue;
+    }
+    if (reported.has(issue.id)) continue;
+
+    await reportOnIssue(planeAgent, workspaceSlug, issue.project, issue, {
+      comment,
+      kinds: [kind],
+      states
+    });
+    reported.add(issue.id);
+  }
+
+  if (reported.size === 0) {
+    console.log(`📝 No Plane issue linked to deployment ${deployment.deploymentId}`);
+  }
+}
+
+// Check the event against Railway's own record of the deployment, so a
+// forged or stale payload can't report the wrong outcome. Returns the
+// deployment to report, or null to ignore the event.
+async function confirmDeployment(data, railwayAgent) {
+  if (!railwayAgent) return data;
+
+  const actual = await railwayAgent.getDeployment(data.deploymentId);
+  if (!actual) {
+    console.log(`⚠️  Railway has no deployment ${data.deploymentId}, ignoring`);
+    return null;
+  }
+
+  if (actual.status !== data.status) {
+    // Throwing makes the queue retry until Railway catches up
+    if (!REPORTED_STATUSES[actual.status]) {
+      throw new Error(`Railway reports deployment ${data.deploymentId} as ${actual.status}, not ${data.status}`);
+    }
+    console.log(`⚠️  Railway reports deployment ${data.deploymentId} as ${actual.status}, not ${data.status}`);
+  }
+
+  return {
+    ...data,
+    status: actual.status,
+    commitSha: actual.meta?.commitSha || data.commitSha,
+    commitMessage: actual.meta?.commitMessage || data.commitMessage
+  };
+}
+
+function deploymentComment(deployment, stage) {
+  const title = stage === 'completed'
+    ? '✅ **Railway deployment succeeded**'
+    : `❌ **Railway deployment ${deployment.status === 'CRASHED' ? 'crashed' : 'failed'}**`;
+  // Everything below comes from the webhook payload and is posted as HTML
+  const target = [deployment.service, deployment.environment && `(${deployment.environment})`].filter(Boolean).join(' ');
+  const commit = deployment.commitSha
+    ? `${deployment.commitSha.substring(0, 7)} ${(deployment.commitMessage || '').split('\n')[0]}`.trim()
+    : 'unknown';
+
+  return `${title}
+
+${target ? `**Service:** ${escapeHtml(target)}\n` : ''}**Deployment:** ${escapeHtml(deployment.deploymentId)}
+**Commit:** ${escapeHtml(commit)}
+**Status:** ${escapeHtml(deployment.status)}`;
+}
+
+// Transition an issue and comment on it, unless a comment of one of the
+// given kinds shows it was already done. Missing states are logged, not
+// thrown: the comment still goes out.
+async function reportOnIssue(planeAgent, workspaceSlug, projectId, issue, { comment, kinds, states }) {
+  for (const kind of kinds) {
+    if (await planeAgent.hasAgentComment(workspaceSlug, projectId, issue.id, kind)) {
+      console.log(`⏭️  Deployment already reported on issue ${issue.id}`);
+      return;
+    }
+  }
+
+  if (states) {
+    try {
+      const state = await planeAgent.transitionIssue(workspaceSlug, projectId, issue.id, states);
+      console.log(`🔀 Issue ${issue.id} moved to ${state}`);
+    } catch (error) {
+      if (!(error instanceof PlaneMappingError)) throw error;
+      console.log(`⚠️  ${error.message}`);
+    }
+  }
+
+  await planeAgent.addComment(workspaceSlug, projectId, issue.id, PlaneAgent.withMarker(comment, kinds[0]));
+}
+
+module.exports = {
+  REPORTED_STATUSES,
+  parseRailwayEvent,
+  deploymentEventType,
+  issueKeys,
+  handleDeploymentFinished
+};
@@ -0,0 +1,364 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createApp } = require('../app');
+const { computeSignature } = require('../../webhook-signature');
+
+const issueCreated = require('./fixtures/issue-created.json');
+const commentCreated = require('./fixtures/comment-created.json');
+const projectCreated = require('./fixtures/project-created.json');
+const railwayDeployed = require('./fixtures/railway-deployment-deployed.json');
+
+const SECRET = 'plane_wh_test_secret';
+const RAILWAY_TOKEN = 'railway-test-token';
+
+// The issue the recorded deployment's commit message refers to
+const mentionedIssue = { id: issueCreated.data.id, project: issueCreated.data.project, sequence_id: 42 };
+
+// PlaneAgent with just what the handlers call; records the comments posted,
+// the issue keys looked up and the state transitions
+function stubPlaneAgent() {
+  return {
+    comments: [],
+    lookedUp: [],
+    transitions: [],
+    async getWorkspaceSlug() { return 'indigo'; },
+    async getProjects() { return [{ id: issueCreated.data.project, identifier: 'IND' }]; },
+    async hasAgentComment() { return false; },
+    async addComment(workspaceSlug, projectId, issueId, html) {
+      this.comments.push({ workspaceSlug, projectId, issueId, html });
+    },
+    async flagDuplicates() { return []; },
+    async getIssueByKey(workspaceSlug, key) {
+      this.lookedUp.push(key);
+      return key === 'IND-42' ? mentionedIssue : null;
+    },
+    async transitionIssue(workspaceSlug, projectId, issueId, states) {
+      this.transitions.push({ issueId, states });
+      return states[0];
+    }
+  };
+}
+
+// RailwayAgent that confirms every deployment as reported
+function stubRailwayAgent() {
+  return {
+    async getDeployment(id) {
+      return { id, status: 'SUCCESS', meta: { commitSha: railwayDeployed.details.commitHash } };
+    }
+  };
+}
+
+const analysisProvider = {
+  async analyze({ title }) {
+    return { title, category: 'bug', categoryName: 'Bug', priority: 'high', complexity: 'low', labels: ['bug'], acceptanceCriteria: [], provider: 'stub' };
+  }
+};
+
+const queueDirs = [];
+
+// A fresh app whose queue only runs when a test starts it; pass queueDir to
+// share a queue between apps (a restart)
+function makeApp({ queueDir } = {}) {
+  const dir = queueDir || fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-queue-'));
+  if (!queueDir) queueDirs.push(dir);
+
+  const planeAgent = stubPlaneAgent();
+  const app = createApp({
+    planeAgent,
+    railwayAgent: stubRailwayAgent(),
+    analysisProvider,
+    workspaceSlug: 'indigo',
+    deploymentsProject: null,
+    queueOptions: { dir, baseDelayMs: 10, pollIntervalMs: 10 },
+    signature: { secret: SECRET, allowUnsigned: false },
+    railwayWebhook: { secret: RAILWAY_TOKEN, allowUnsigned: false }
+  });
+  app.locals.eventQueue.stop();
+  return { app, planeAgent, queueDir: dir };
+}
+
+// A recorded delivery re-sent now, so it's inside the replay window
+function freshBody(fixture) {
+  return JSON.stringify({ ...fixture, timestamp: new Date().toISOString() });
+}
+
+function postPlane(app, body, { deliveryId, secret = SECRET, query = '' } = {}) {
+  const req = request(app)
+    .post(`/plane-webhook${query}`)
+    .set('Content-Type', 'application/json');
+  if (deliveryId) req.set('X-Plane-Delivery', deliveryId);
+  if (secret) req.set('X-Plane-Signature', computeSignature(secret, body));
+  return req.send(body);
+}
+
+async function waitForStatus(app, deliveryId, expected) {
+  const deadline = Date.now() + 2000;
+  let status;
+  while (Date.now() < deadline) {
+    ({ status } = (await request(app).get(`/queue/${deliveryId}`)).body);
+    if (status === expected) return status;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return status;
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+  queueDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('POST /plane-webhook signatures', () => {
+  let app;
+  beforeEach(() => ({ app } = makeApp()));
+
+  test('a correctly signed delivery is queued', async () => {
+    const res = await postPlane(app, freshBody(issueCreated), { deliveryId: 'delivery-ok' });
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual(res.body.status, 'queued');
+    assert.strictEqual(res.body.event, 'issue.created');
+  });
+
+  test('a signature made with another secret gets 401', async () => {
+    const res = await postPlane(app, freshBody(issueCreated), { deliveryId: 'delivery-bad', secret: 'wrong-secret' });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.message, 'Invalid signature');
+    assert.strictEqual(app.locals.eventQueue.deliveryStatus('delivery-bad'), null);
+  });
+
+  test('a tampered body gets 401', async () => {
+    const body = freshBody(issueCreated);
+    const res = await request(app)
+      .post('/plane-webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Plane-Delivery', 'delivery-tampered')
+      .set('X-Plane-Signature', computeSignature(SECRET, body))
+      .send(body.replace('Safari', 'Chrome'));
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('a missing or malformed signature gets 401', async () => {
+    const body = freshBody(issueCreated);
+    assert.strictEqual((await postPlane(app, body, { deliveryId: 'delivery-unsigned', secret: null })).status, 401);
+
+    const res = await request(app)
+      .post('/plane-webhook')
+      .set('Content-Type', 'application/json')
+      .set('X-Plane-Delivery', 'delivery-multibyte')
+      .set('X-Plane-Signature', 'é'.repeat(64))
+      .send(body);
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('the recorded timestamp is outside the replay window', async () => {
+    const res = await postPlane(app, JSON.stringify(issueCreated), { deliveryId: 'delivery-stale' });
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.message, 'Delivery timestamp outside replay window');
+  });
+});
+
+describe('replayed deliveries', () => {
+  test('a delivery replayed inside the window is acknowledged, not queued again', async () => {
+    const { app } = makeApp();
+    const body = freshBody(commentCreated);
+
+    assert.strictEqual((await postPlane(app, body, { deliveryId: 'delivery-replayed' })).status, 202);
+    const replay = await postPlane(app, body, { deliveryId: 'delivery-replayed' });
+    assert.strictEqual(replay.status, 200);
+    assert.strictEqual(replay.body.status, 'ignored');
+    assert.strictEqual(app.locals.eventQueue.stats().pending, 1);
+  });
+
+  test('a redelivery after a restart is recognised by the queue', async () => {
+    const first = makeApp();
+    const body = freshBody(commentCreated);
+    assert.strictEqual((await postPlane(first.app, body, { deliveryId: 'delivery-restart' })).status, 202);
+
+    const { app } = makeApp({ queueDir: first.queueDir });
+    const res = await postPlane(app, body, { deliveryId: 'delivery-restart' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'ignored');
+    assert.strictEqual(app.locals.eventQueue.stats().pending, 1);
+  });
+
+  test('a delivery without a timestamp is still recognised after a restart', async () => {
+    const first = makeApp();
+    const { timestamp, ...untimed } = commentCreated;
+    const body = JSON.stringify(untimed);
+    assert.strictEqual((await postPlane(first.app, body, { deliveryId: 'delivery-untimed' })).status, 202);
+
+    const { app } = makeApp({ queueDir: first.queueDir });
+    const res = await postPlane(app, body, { deliveryId: 'delivery-untimed' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'ignored');
+    assert.strictEqual(app.locals.eventQueue.stats().pending, 1);
+  });
+
+  test('without a delivery ID, the same body is deduplicated by its hash', async () => {
+    const { app } = makeApp();
+    const body = freshBody(projectCreated);
+
+    assert.strictEqual((await postPlane(app, body)).status, 202);
+    const res = await postPlane(app, body);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'duplicate');
+    assert.match(res.body.delivery, /^sha256:[0-9a-f]{64}$/);
+  });
+});
+
+describe('?projects= filter', () => {
+  const projectId = issueCreated.data.project;
+
+  test('events of other projects are ignored', async () => {
+    const { app } = makeApp();
+    const res = await postPlane(app, freshBody(issueCreated), {
+      deliveryId: 'delivery-other-project',
+      query: '?projects=11111111-2222-4333-8444-555555555555'
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.reason, 'project not subscribed');
+    assert.strictEqual(app.locals.eventQueue.deliveryStatus('delivery-other-project'), null);
+  });
+
+  test('events of a listed project are queued', async () => {
+    const { app } = makeApp();
+    const res = await postPlane(app, freshBody(issueCreated), {
+      deliveryId: 'delivery-listed-project',
+      query: `?projects=11111111-2222-4333-8444-555555555555,${projectId}`
+    });
+    assert.strictEqual(res.status, 202);
+  });
+
+  test('events without a project pass the filter', async () => {
+    const { app } = makeApp();
+    const res = await postPlane(app, freshBody(projectCreated), {
+      deliveryId: 'delivery-no-project',
+      query: `?projects=${projectId}`
+    });
+    assert.strictEqual(res.status, 202);
+  });
+});
+
+describe('GET /queue/:deliveryId', () => {
+  test('unknown deliveries are 404', async () => {
+    const { app } = makeApp();
+    const res = await request(app).get('/queue/never-sent');
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual(res.body.status, 'unknown');
+  });
+
+  test('a delivery is pending until the worker has processed it', async () => {
+    const { app, planeAgent } = makeApp();
+    await postPlane(app, freshBody(issueCreated), { deliveryId: 'delivery-status' });
+
+    const pending = await request(app).get('/queue/delivery-status');
+    assert.strictEqual(pending.status, 200);
+    assert.strictEqual(pending.body.status, 'pending');
+
+    app.locals.eventQueue.start();
+    try {
+      assert.strictEqual(await waitForStatus(app, 'delivery-status', 'done'), 'done');
+    } finally {
+      app.locals.eventQueue.stop();
+    }
+
+    assert.strictEqual(planeAgent.comments.length, 1);
+    assert.strictEqual(planeAgent.comments[0].issueId, issueCreated.data.id);
+    assert.match(planeAgent.comments[0].html, /AI Analysis/);
+  });
+});
+
+describe('POST /railway-webhook', () => {
+  let app;
+  beforeEach(() => ({ app } = makeApp()));
+
+  test('requests without the token get 401', async () => {
+    const res = await request(app).post('/railway-webhook').send(railwayDeployed);
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('a wrong token gets 401', async () => {
+    const res = await request(app).post('/railway-webhook?token=nope').send(railwayDeployed);
+    assert.strictEqual(res.status, 401);
+  });
+
+  test('the token is accepted in the query string or as a Bearer token', async () => {
+    const res = await request(app).post(`/railway-webhook?token=${RAILWAY_TOKEN}`).send(railwayDeployed);
+    assert.strictEqual(res.status, 202);
+    assert.strictEqual(res.body.event, 'deployment.succeeded');
+    assert.strictEqual(res.body.delivery, `railway-${railwayDeployed.resource.deployment.id}-SUCCESS`);
+
+    const again = await request(app)
+      .post('/railway-webhook')
+      .set('Authorization', `Bearer ${RAILWAY_TOKEN}`)
+      .send(railwayDeployed);
+    assert.strictEqual(again.status, 200);
+    assert.strictEqual(again.body.status, 'duplicate');
+  });
+
+  test('deployments that are still building are ignored', async () => {
+    const building = { ...railwayDeployed, type: 'Deployment.building', details: { ...railwayDeployed.details, status: 'BUILDING' } };
+    const res = await request(app).post(`/railway-webhook?token=${RAILWAY_TOKEN}`).send(building);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body.status, 'ignored');
+  });
+
+  test('payloads without a deployment are rejected', async () => {
+    const res = await request(app).post(`/railway-webhook?token=${RAILWAY_TOKEN}`).send({ type: 'VOLUME_ALERT' });
+    assert.strictEqual(res.status, 400);
+  });
+});
+
+describe('Railway deployment reports', () => {
+  // Deliver a deployment event and let the worker report it
+  async function deliver(payload) {
+    const { app, planeAgent } = makeApp();
+    const res = await request(app).post(`/railway-webhook?token=${RAILWAY_TOKEN}`).send(payload);
+    assert.strictEqual(res.status, 202);
+
+    app.locals.eventQueue.start();
+    try {
+      assert.strictEqual(await waitForStatus(app, res.body.delivery, 'done'), 'done');
+    } finally {
+      app.locals.eventQueue.stop();
+    }
+    return planeAgent;
+  }
+
+  test('a production deploy moves the issues its commit mentions to Done', async () => {
+    const planeAgent = await deliver(railwayDeployed);
+    assert.deepStrictEqual(planeAgent.lookedUp, ['IND-42']);
+    assert.deepStrictEqual(planeAgent.transitions, [{ issueId: mentionedIssue.id, states: ['Done', 'completed'] }]);
+    assert.strictEqual(planeAgent.comments.length, 1);
+    assert.match(planeAgent.comments[0].html, /Railway deployment succeeded/);
+  });
+
+  test('a deploy to another environment only comments', async () => {
+    const staging = {
+      ...railwayDeployed,
+      resource: { ...railwayDeployed.resource, environment: { id: 'staging-id', name: 'staging' } }
+    };
+    const planeAgent = await deliver(staging);
+    assert.deepStrictEqual(planeAgent.transitions, []);
+    assert.strictEqual(planeAgent.comments.length, 1);
+    assert.match(planeAgent.comments[0].html, /webhook-handler \(staging\)/);
+  });
+
+  test('payload fields are escaped in the comment', async () => {
+    const hostile = {
+      ...railwayDeployed,
+      details: { ...railwayDeployed.details, commitMessage: 'Fix <img src=x onerror=alert(1)> (IND-42)' }
+    };
+    const planeAgent = await deliver(hostile);
+    assert.doesNotMatch(planeAgent.comments[0].html, /<img/);
+    assert.match(planeAgent.comments[0].html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  });
+});
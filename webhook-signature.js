@@ -0,0 +1,193 @@
+// Plane webhook signature verification
+// Plane signs every delivery with HMAC-SHA256 over the raw JSON body using the
+// secret key it returns when the webhook is created (see setup-webhooks.js).
+// Each workspace's webhook has its own key, so several can be configured.
+// Railway doesn't sign its webhooks, so its endpoint checks a shared token
+// carried in the webhook URL instead (verifyRailwayToken).
+const crypto = require('crypto');
+const { config } = require('./config');
+
+const DEFAULT_REPLAY_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+
+// Compute the hex signature Plane would send for a body
+function computeSignature(secret, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+}
+
+// Constant-time comparison of a received signature against the expected one
+function isValidSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature) return false;
+
+  const received = String(signature).replace(/^sha256=/, '').trim().toLowerCase();
+  const expected = computeSignature(secret, rawBody);
+
+  // Anything but 64 hex digits can't match, and would make the buffers
+  // differ in length (timingSafeEqual throws on that)
+  if (!/^[0-9a-f]{64}$/.test(received)) return false;
+  return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// Keep the raw request body around so it can be verified after JSON parsing
+// Usage: app.use(express.json({ verify: captureRawBody }))
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// Express middleware that rejects unsigned, tampered and replayed deliveries.
+// options.secret may be one secret or a list; a delivery signed with any of
+// them is accepted. options.isKnownDelivery (delivery ID → boolean) checks
+// IDs against a durable record such as the event queue's; without it, IDs
+// are only remembered in memory for the replay window, which protects
+// nothing once the window has passed or the process restarted - so then
+// every delivery needs a timestamp.
+function verifyPlaneSignature(options = {}) {
+  const secrets = [].concat((options.secret !== undefined ? options.secret : config.get('plane.webhookSecret')) || [])
+    .filter(Boolean);
+  const replayWindowMs = options.replayWindowMs || DEFAULT_REPLAY_WINDOW_MS;
+  const allowUnsigned = options.allowUnsigned !== undefined
+    ? options.allowUnsigned
+    : config.get('webhook.allowUnsigned') === true;
+
+  const { isKnownDelivery } = options;
+
+  // Delivery IDs seen inside the replay window, without a durable record
+  const seenDeliveries = new Map();
+
+  if (secrets.length === 0) {
+    if (allowUnsigned) {
+      console.warn('⚠️  PLANE_WEBHOOK_SECRET not set and WEBHOOK_ALLOW_UNSIGNED=true - accepting unsigned Plane webhooks');
+    } else {
+      console.warn('⚠️  PLANE_WEBHOOK_SECRET not set - all Plane webhooks will be rejected');
+    }
+  }
+
+  const reject = (res, message) => {
+    console.warn(`🔒 Rejected Plane webhook: ${message}`);
+    res.status(401).json({
+      status: 'unauthorized',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  return (req, res, next) => {
+    if (secrets.length === 0) {
+      if (allowUnsigned) return next();
+      return reject(res, 'Webhook secret not configured');
+    }
+
+    const signature = req.get('X-Plane-Signature');
+    if (!signature) {
+      return reject(res, 'Missing X-Plane-Signature header');
+    }
+
+    if (!secrets.some(secret => isValidSignature(secret, req.rawBody, signature))) {
+      return reject(res, 'Invalid signature');
+    }
+
+    const now = Date.now();
+    const deliveryId = req.get('X-Plane-Delivery');
+
+    // Signed timestamps outside the window are stale or replayed
+    const sentAt = req.body && req.body.timestamp ? Date.parse(req.body.timestamp) : NaN;
+    if (!Number.isNaN(sentAt) && Math.abs(now - sentAt) > replayWindowMs) {
+      return reject(res, 'Delivery timestamp outside replay window');
+    }
+
+    // Without a timestamp only a durably recorded delivery ID stops a
+    // captured delivery from being replayed forever
+    if (Number.isNaN(sentAt)) {
+      if (!isKnownDelivery) {
+        return reject(res, 'Delivery has no timestamp');
+      }
+      if (!deliveryId) {
+        return reject(res, 'Delivery has no timestamp and no X-Plane-Delivery header');
+      }
+    }
+
+    // Forget deliveries that have aged out of the window
+    for (const [id, seenAt] of seenDeliveries) {
+      if (now - seenAt > replayWindowMs) seenDeliveries.delete(id);
+    }
+
+    if (deliveryId) {
+      if (isKnownDelivery ? isKnownDelivery(deliveryId) : seenDeliveries.has(deliveryId)) {
+        console.log(`🔁 Ignoring replayed delivery: ${deliveryId}`);
+        return res.status(200).json({
+          status: 'ignored',
+          reason: 'duplicate delivery',
+          delivery: deliveryId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (!isKnownDelivery) seenDeliveries.set(deliveryId, now);
+    }
+
+    next();
+  };
+}
+
+// Constant-time comparison of a received token against the expected one
+function isValidToken(expected, received) {
+  if (!expected || !received) return false;
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(String(received)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Express middleware that rejects Railway webhooks without the shared token,
+// given as ?token=<secret> in the webhook URL or as a Bearer token
+function verifyRailwayToken(options = {}) {
+  const secret = options.secret !== undefined ? options.secret : config.get('railway.webhookSecret');
+  const allowUnsigned = options.allowUnsigned !== undefined
+    ? options.allowUnsigned
+    : config.get('webhook.allowUnsigned') === true;
+
+  if (!secret) {
+    if (allowUnsigned) {
+      console.warn('⚠️  RAILWAY_WEBHOOK_SECRET not set and WEBHOOK_ALLOW_UNSIGNED=true - accepting Railway webhooks without a token');
+    } else {
+      console.warn('⚠️  RAILWAY_WEBHOOK_SECRET not set - all Railway webhooks will be rejected');
+    }
+  }
+
+  const reject = (res, message) => {
+    console.warn(`🔒 Rejected Railway webhook: ${message}`);
+    res.status(401).json({
+      status: 'unauthorized',
+      message,
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  return (req, res, next) => {
+    if (!secret) {
+      if (allowUnsigned) return next();
+      return reject(res, 'Webhook secret not configured');
+    }
+
+    const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const token = req.query.token || bearer;
+    if (!token) {
+      return reject(res, 'Missing token');
+    }
+    if (!isValidToken(secret, token)) {
+      return reject(res, 'Invalid token');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  DEFAULT_REPLAY_WINDOW_MS,
+  computeSignature,
+  isValidSignature,
+  captureRawBody,
+  verifyPlaneSignature,
+  isValidToken,
+  verifyRailwayToken
+};